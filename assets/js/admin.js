@@ -2,43 +2,222 @@
   'use strict';
 
   // ── Configuration ──────────────────────────────────────────────────────
-  const API_BASE = 'https://gallery-admin.etzrodt-martin.workers.dev';
+  // `jekyll serve` talks to a `wrangler dev` worker (see local-storage.js)
+  const API_BASE = ['localhost', '127.0.0.1'].includes(location.hostname)
+    ? 'http://localhost:8787'
+    : 'https://gallery-admin.etzrodt-martin.workers.dev';
   const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
   const MAX_IMAGE_WIDTH = 1920;
+  const IMAGE_WIDTHS = [480, 960, 1920]; // WebP derivatives, up to the image's own width
   const JPEG_QUALITY = 0.85;
+  const WEBP_QUALITY = 0.8;
+  const UPLOAD_CONCURRENCY = 3; // images uploading at once, unless changed in the Upload tab
+  const UPLOAD_RETRIES = 4;
+  const UPLOAD_BACKOFF = 1000; // ms before the first retry, doubling after each
+  const PLACEHOLDER_WIDTH = 20; // pixels; blurred up while the image loads
+  // Rendered width of a .gallery-grid column; keep in step with _includes/gallery-item.html
+  const GALLERY_SIZES = '(max-width: 480px) 100vw, (max-width: 768px) 50vw, 340px';
   const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+  const IMAGE_DIR = 'assets/images/gallery/';
+  const GALLERY_PATH = '_data/gallery.yml';
+  const CATEGORIES_PATH = '_data/gallery_categories.yml';
+  const ALBUMS_DIR = '_albums/';
+  const ROLES = ['uploader', 'editor', 'owner']; // least to most privileged
+
+  // ── Site Data Schemas ──────────────────────────────────────────────────
+  // One schema per _data/<name>.yml file editable via /data/:name.
+  // Field types: text (default), textarea, url, number (whole), boolean,
+  // select (`options` as [value, label] pairs), group (nested mapping) and
+  // list (of strings, or of mappings when `fields` is set). Text fields may
+  // set a `pattern` they must match.
+  const OCCUPATION_FIELDS = [
+    { key: 'title', label: 'Title', required: true },
+    { key: 'company', label: 'Organisation', required: true },
+    { key: 'details', label: 'Details', type: 'list', itemLabel: 'Detail' },
+  ];
+
+  // Keep in step with the sections and types in publications.html
+  const PUBLICATION_SECTIONS = [
+    ['science-policy', 'Science Policy & Governance'],
+    ['postdoctoral-work', 'Postdoctoral Work'],
+    ['predoctoral-phd', 'Pre-Doctoral & PhD Work'],
+    ['bsc-thesis', 'BSc Thesis'],
+  ];
+  const PUBLICATION_TYPES = [['article', 'Article'], ['review', 'Review'], ['essay', 'Essay'], ['abstract', 'Conference abstract']];
+
+  const DATA_SCHEMAS = {
+    publications: {
+      label: 'Publications',
+      type: 'list',
+      itemLabel: 'Publication',
+      fields: [
+        { key: 'title', label: 'Title', required: true },
+        {
+          key: 'authors', label: 'Authors', type: 'list', itemLabel: 'Author',
+          fields: [
+            { key: 'name', label: 'Name (e.g. Etzrodt M; end with * for equal contribution)', required: true },
+            { key: 'self', label: 'This is me (shown in bold)', type: 'boolean' },
+          ],
+        },
+        { key: 'journal', label: 'Journal', required: true },
+        { key: 'year', label: 'Year', type: 'number', required: true },
+        { key: 'doi', label: 'DOI (e.g. 10.1182/blood-2018-02-832998)', pattern: /^10\.\d{4,9}\/\S+$/ },
+        { key: 'pmid', label: 'PubMed ID', type: 'number' },
+        { key: 'type', label: 'Type', type: 'select', options: PUBLICATION_TYPES, required: true },
+        { key: 'section', label: 'Section', type: 'select', options: PUBLICATION_SECTIONS, required: true },
+        { key: 'note', label: 'Note (e.g. Cover Image)' },
+        { key: 'featured', label: 'Position on the homepage (1 = first; empty = not featured)', type: 'number' },
+      ],
+    },
+    projects: {
+      label: 'Projects',
+      type: 'list',
+      itemLabel: 'Project',
+      fields: [
+        { key: 'title', label: 'Title', required: true },
+        { key: 'description', label: 'Description', type: 'textarea', required: true },
+        { key: 'tags', label: 'Tags', type: 'list', itemLabel: 'Tag' },
+        { key: 'url', label: 'Link', type: 'url', required: true },
+        { key: 'link_text', label: 'Link text', required: true },
+      ],
+    },
+    experience: {
+      label: 'Experience',
+      type: 'group',
+      fields: [
+        { key: 'active', label: 'Active Occupations', type: 'list', itemLabel: 'Occupation', fields: OCCUPATION_FIELDS },
+        { key: 'previous', label: 'Previous Occupations', type: 'list', itemLabel: 'Occupation', fields: OCCUPATION_FIELDS },
+        {
+          key: 'timeline', label: 'Education', type: 'list', itemLabel: 'Timeline entry',
+          fields: [{ key: 'date', label: 'Date range', required: true }].concat(OCCUPATION_FIELDS),
+        },
+      ],
+    },
+    roles: {
+      label: 'Roles',
+      type: 'list',
+      itemLabel: 'Role',
+      fields: [
+        { key: 'title', label: 'Title', required: true },
+        { key: 'org', label: 'Organisation', required: true },
+        { key: 'focus', label: 'Focus', type: 'textarea' },
+        { key: 'since', label: 'Since (year)', required: true },
+        { key: 'color', label: 'Accent colour (hex)' },
+      ],
+    },
+    skills: {
+      label: 'Skills',
+      type: 'list',
+      itemLabel: 'Skill group',
+      fields: [
+        { key: 'name', label: 'Group name', required: true },
+        { key: 'items', label: 'Skills', type: 'list', itemLabel: 'Skill' },
+      ],
+    },
+    social: {
+      label: 'Social',
+      type: 'list',
+      itemLabel: 'Link',
+      fields: [
+        { key: 'label', label: 'Label', required: true },
+        { key: 'url', label: 'URL', type: 'url', required: true },
+        { key: 'icon', label: 'Icon class (Font Awesome)', required: true },
+        { key: 'qr', label: 'Open as QR code', type: 'boolean' },
+      ],
+    },
+  };
 
   // ── State ──────────────────────────────────────────────────────────────
   let galleryEntries = [];   // Current gallery.yml data
   let gallerySha = null;     // SHA of _data/gallery.yml for GitHub API updates
+  let galleryBase = [];      // gallery.yml entries as loaded (base for three-way merges)
+  let galleryCategories = []; // gallery_categories.yml: albums as { slug, name, cover } in display order
+  let categoriesSha = null;
+  let categoriesBase = [];   // albums as loaded, to work out which album pages change
   let repoImages = [];       // All images in assets/images/gallery/
   let uploadedBlobs = {};    // filename → blob URL for preview of just-uploaded images
+  let stagedImages = {};     // filename → { files: { name: { blob, receipt } }, widths, data } waiting for the next publish
   let dragSrcIndex = null;
+  const dataFiles = {};      // data file name → { data, sha } loaded via /data/:name
+  let draftName = 'session-' + new Date().toISOString().slice(0, 16).replace(/[^0-9]/g, '');
 
   // ── DOM refs ───────────────────────────────────────────────────────────
   const $ = (sel) => document.querySelector(sel);
   const loginSection = $('#admin-login');
   const panelSection = $('#admin-panel');
   const loginForm = $('#loginForm');
+  const usernameInput = $('#adminUsername');
   const passwordInput = $('#adminPassword');
+  const totpInput = $('#adminTotp');
+  const currentUserLabel = $('#currentUser');
   const loginError = $('#loginError');
+  const passkeyLoginBtn = $('#passkeyLoginBtn');
   const logoutBtn = $('#logoutBtn');
+  const logoutAllBtn = $('#logoutAllBtn');
   const tabBtns = document.querySelectorAll('.admin-tab');
   const tabContents = document.querySelectorAll('.admin-tab-content');
   const dropzone = $('#dropzone');
   const fileInput = $('#fileInput');
   const uploadQueue = $('#uploadQueue');
+  const uploadControls = $('#uploadControls');
+  const uploadPauseBtn = $('#uploadPauseBtn');
+  const uploadConcurrencySelect = $('#uploadConcurrency');
+  const uploadSummary = $('#uploadSummary');
   const galleryEditor = $('#galleryEditor');
   const galleryLoading = $('#galleryLoading');
   const galleryEmpty = $('#galleryEmpty');
   const galleryActions = $('#galleryActions');
   const unassignedSection = $('#unassignedSection');
+  const categorySection = $('#categorySection');
+  const categoryList = $('#categoryList');
+  const categoryForm = $('#categoryForm');
+  const categoryNameInput = $('#categoryName');
+  const categoryOptions = $('#categoryOptions');
   const unassignedList = $('#unassignedList');
+  const cleanupBtn = $('#cleanupBtn');
+  const cleanupModal = $('#cleanupModal');
+  const cleanupList = $('#cleanupList');
+  const cleanupCancelBtn = $('#cleanupCancelBtn');
+  const cleanupDeleteBtn = $('#cleanupDeleteBtn');
+  const importModal = $('#importModal');
+  const importText = $('#importText');
+  const importFileInput = $('#importFile');
+  const importReadBtn = $('#importReadBtn');
+  const importList = $('#importList');
+  const importCancelBtn = $('#importCancelBtn');
+  const importAddBtn = $('#importAddBtn');
   const previewBtn = $('#previewBtn');
+  const backfillBtn = $('#backfillBtn');
   const saveBtn = $('#saveBtn');
+  const draftBtn = $('#draftBtn');
+  const draftNameInput = $('#draftNameInput');
+  const draftList = $('#draftList');
+  const historyList = $('#historyList');
+  const userList = $('#userList');
+  const userForm = $('#userForm');
+  const auditFilters = $('#auditFilters');
+  const auditList = $('#auditList');
+  const auditMoreBtn = $('#auditMoreBtn');
+  const passkeyList = $('#passkeyList');
+  const passkeyForm = $('#passkeyForm');
+  const signInSettings = $('#signInSettings');
+  const totpSection = $('#totpSection');
+  const passwordLoginInput = $('#passwordLoginInput');
   const previewModal = $('#previewModal');
   const previewContent = $('#previewContent');
   const closePreviewBtn = $('#closePreviewBtn');
+  const mergeModal = $('#mergeModal');
+  const mergeContent = $('#mergeContent');
+  const mergeCancelBtn = $('#mergeCancelBtn');
+  const mergeApplyBtn = $('#mergeApplyBtn');
+  const editorModal = $('#editorModal');
+  const editorToolbar = $('#editorToolbar');
+  const editorStage = $('#editorStage');
+  const editorCanvas = $('#editorCanvas');
+  const editorCrop = $('#editorCrop');
+  const editorFocus = $('#editorFocus');
+  const editorCancelBtn = $('#editorCancelBtn');
+  const editorApplyBtn = $('#editorApplyBtn');
   const adminToast = $('#adminToast');
 
   // ── JWT Helpers ────────────────────────────────────────────────────────
@@ -46,54 +225,140 @@
     return sessionStorage.getItem('admin_jwt');
   }
 
-  function setToken(token) {
+  // Access tokens live 15 minutes; the refresh token renews them
+  function setToken(token, refreshToken) {
     sessionStorage.setItem('admin_jwt', token);
+    if (refreshToken) sessionStorage.setItem('admin_refresh', refreshToken);
   }
 
   function clearToken() {
     sessionStorage.removeItem('admin_jwt');
+    sessionStorage.removeItem('admin_refresh');
   }
 
   function isTokenValid() {
     const token = getToken();
     if (!token) return false;
     try {
-      const payload = JSON.parse(atob(token.split('.')[1]));
+      const payload = JSON.parse(decodeBase64Url(token.split('.')[1]));
       return payload.exp * 1000 > Date.now();
     } catch {
       return false;
     }
   }
 
+  // Account behind the current token; tokens from before user accounts
+  // existed carry no role and belonged to the single owner
+  function currentUser() {
+    try {
+      const payload = JSON.parse(decodeBase64Url(getToken().split('.')[1]));
+      return { username: payload.sub, name: payload.name || payload.sub, role: payload.role || 'owner' };
+    } catch {
+      return { username: null, name: '', role: 'uploader' };
+    }
+  }
+
+  function hasRole(role) {
+    return ROLES.indexOf(currentUser().role) >= ROLES.indexOf(role);
+  }
+
   function authHeaders() {
     return { 'Authorization': 'Bearer ' + getToken() };
   }
 
   // ── API Helpers ────────────────────────────────────────────────────────
-  async function apiRequest(path, options = {}) {
+  async function apiRequest(path, options = {}, retried = false) {
     const url = API_BASE + path;
     const headers = { ...authHeaders(), ...options.headers };
     const res = await fetch(url, { ...options, headers });
     if (res.status === 401) {
-      clearToken();
-      showLogin();
+      if (!retried && await refreshSession()) return apiRequest(path, options, true);
+      sessionExpired();
       throw new Error('Session expired');
     }
     return res;
   }
 
+  // One refresh at a time; parallel requests that hit 401 share it
+  let pendingRefresh = null;
+  function refreshSession() {
+    const refreshToken = sessionStorage.getItem('admin_refresh');
+    if (!refreshToken) return Promise.resolve(false);
+
+    if (!pendingRefresh) {
+      pendingRefresh = fetch(API_BASE + '/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      })
+        .then(async (res) => {
+          const data = await res.json();
+          if (!res.ok) return false;
+          setToken(data.token, data.refreshToken);
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => { pendingRefresh = null; });
+    }
+    return pendingRefresh;
+  }
+
+  // Unsaved edits stay in memory; signing in again picks up where it left off
+  function sessionExpired() {
+    clearToken();
+    showLogin();
+    loginError.textContent = 'Your session ended. Sign in again to continue; unsaved changes are kept.';
+    loginError.hidden = false;
+  }
+
   // ── UI State Toggles ──────────────────────────────────────────────────
   function showLogin() {
     loginSection.hidden = false;
     panelSection.hidden = true;
     loginError.hidden = true;
     passwordInput.value = '';
+    totpInput.value = '';
+    totpInput.hidden = true;
+    totpInput.required = false;
+    loadAuthConfig();
+  }
+
+  // Offers passkey sign-in when supported; hides the password form if the
+  // owner turned password sign-in off
+  async function loadAuthConfig() {
+    try {
+      const res = await fetch(API_BASE + '/auth/config');
+      const config = await res.json();
+      passkeyLoginBtn.hidden = !(config.passkeys && window.PublicKeyCredential);
+      loginForm.hidden = !config.password;
+    } catch {
+      passkeyLoginBtn.hidden = true;
+      loginForm.hidden = false;
+    }
   }
 
+  let panelLoaded = false;
   function showPanel() {
     loginSection.hidden = true;
     panelSection.hidden = false;
-    loadGalleryData();
+    applyRole();
+    if (uploadsPaused === 'auth') resumeUploads();
+    if (!panelLoaded) {
+      panelLoaded = true;
+      loadGalleryData();
+    }
+  }
+
+  // Hides tabs the account's role cannot use; the worker enforces the same
+  function applyRole() {
+    const user = currentUser();
+    panelSection.setAttribute('data-role', user.role);
+    currentUserLabel.textContent = user.name + ' · ' + user.role;
+    tabBtns.forEach((btn) => {
+      const minRole = btn.getAttribute('data-min-role');
+      btn.hidden = !!minRole && !hasRole(minRole);
+    });
+    if (document.querySelector('.admin-tab.active').hidden) tabBtns[0].click();
   }
 
   // ── Toast ──────────────────────────────────────────────────────────────
@@ -107,8 +372,10 @@
   // ── Login ──────────────────────────────────────────────────────────────
   loginForm.addEventListener('submit', async (e) => {
     e.preventDefault();
+    const username = usernameInput.value.trim();
     const password = passwordInput.value;
-    if (!password) return;
+    const totp = totpInput.value.trim();
+    if (!username || !password) return;
 
     loginError.hidden = true;
     const btn = loginForm.querySelector('button');
@@ -119,15 +386,25 @@
       const res = await fetch(API_BASE + '/auth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password }),
+        body: JSON.stringify({ username, password, ...(totp && { totp }) }),
       });
       const data = await res.json();
 
       if (res.ok && data.token) {
-        setToken(data.token);
+        setToken(data.token, data.refreshToken);
         showPanel();
+      } else if (data.code === 'totp_required') {
+        // Password was right; ask for the second factor and submit again
+        totpInput.hidden = false;
+        totpInput.required = true;
+        totpInput.value = '';
+        totpInput.focus();
+        if (totp) {
+          loginError.textContent = data.error;
+          loginError.hidden = false;
+        }
       } else {
-        loginError.textContent = data.error || 'Invalid password';
+        loginError.textContent = data.error || 'Invalid username or password';
         loginError.hidden = false;
       }
     } catch (err) {
@@ -139,9 +416,62 @@
     }
   });
 
-  logoutBtn.addEventListener('click', () => {
+  passkeyLoginBtn.addEventListener('click', async () => {
+    loginError.hidden = true;
+    passkeyLoginBtn.disabled = true;
+
+    try {
+      const optionsRes = await fetch(API_BASE + '/auth/passkey/options', { method: 'POST' });
+      const options = await optionsRes.json();
+      if (!optionsRes.ok) throw new Error(options.error);
+
+      const credential = await navigator.credentials.get({
+        publicKey: { ...options, challenge: base64UrlToBytes(options.challenge) },
+      });
+      const res = await fetch(API_BASE + '/auth/passkey', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          credential: {
+            id: credential.id,
+            response: {
+              clientDataJSON: bytesToBase64Url(credential.response.clientDataJSON),
+              authenticatorData: bytesToBase64Url(credential.response.authenticatorData),
+              signature: bytesToBase64Url(credential.response.signature),
+            },
+          },
+        }),
+      });
+      const data = await res.json();
+
+      if (res.ok && data.token) {
+        setToken(data.token, data.refreshToken);
+        showPanel();
+      } else {
+        loginError.textContent = data.error || 'Passkey sign-in failed';
+        loginError.hidden = false;
+      }
+    } catch (err) {
+      // NotAllowedError: the user dismissed the browser prompt
+      if (err.name !== 'NotAllowedError') {
+        loginError.textContent = err.message || 'Passkey sign-in failed';
+        loginError.hidden = false;
+      }
+    } finally {
+      passkeyLoginBtn.disabled = false;
+    }
+  });
+
+  // Revokes the session server-side, then starts over with a clean page
+  logoutBtn.addEventListener('click', async () => {
+    logoutBtn.disabled = true;
+    try {
+      await fetch(API_BASE + '/logout', { method: 'POST', headers: authHeaders() });
+    } catch {
+      // Signing out locally still works; the token expires on its own
+    }
     clearToken();
-    showLogin();
+    location.reload();
   });
 
   // ── Tabs ───────────────────────────────────────────────────────────────
@@ -152,6 +482,12 @@
       btn.classList.add('active');
       const tab = btn.getAttribute('data-tab');
       document.getElementById('tab-' + tab).classList.add('active');
+      if (DATA_SCHEMAS[tab] && !dataFiles[tab]) loadDataFile(tab);
+      if (tab === 'history') loadHistory();
+      if (tab === 'drafts') loadDrafts();
+      if (tab === 'users') loadUsers();
+      if (tab === 'activity') loadAudit();
+      if (tab === 'account') loadAccount();
     });
   });
 
@@ -179,12 +515,39 @@
         showToast('Skipped ' + file.name + ' — exceeds 10 MB', 'error');
         return;
       }
-      uploadFile(file);
+      queueUpload(file);
     });
+    pumpUploads();
   }
 
-  async function uploadFile(file) {
-    // Create queue item UI
+  // ── Upload Manager ─────────────────────────────────────────────────────
+  // Each file is resized, then its image and WebP derivatives go to /blobs
+  // one request per file, at most uploadConcurrency images at a time. The
+  // blob receipts are staged and referenced by the next publish. Failed
+  // requests are retried with exponential backoff, resuming with the files
+  // that have not gone up yet. An expired session pauses the queue until
+  // the user signs in again.
+  let uploadJobs = [];       // { file, item, state, edits, image, name, keepName, replace, hash, parts, done, attempts, xhr, timer }
+  let uploadsPaused = null;  // null, 'user' or 'auth'
+  let uploadConcurrency = parseInt(localStorage.getItem('admin_upload_concurrency'), 10) || UPLOAD_CONCURRENCY;
+  let batchResults = { done: 0, failed: 0 };
+
+  uploadConcurrencySelect.value = String(uploadConcurrency);
+  uploadConcurrencySelect.addEventListener('change', () => {
+    uploadConcurrency = parseInt(uploadConcurrencySelect.value, 10);
+    localStorage.setItem('admin_upload_concurrency', String(uploadConcurrency));
+    pumpUploads();
+  });
+
+  uploadPauseBtn.addEventListener('click', () => {
+    if (uploadsPaused) resumeUploads();
+    else pauseUploads('user');
+  });
+
+  // options.name keeps the file name of an image being replaced (with
+  // options.replace); options.edits are applied before encoding (see Image
+  // Editor)
+  function queueUpload(file, options = {}) {
     const item = document.createElement('div');
     item.className = 'admin-upload-item';
     item.innerHTML =
@@ -192,334 +555,3318 @@
       '<div class="admin-upload-info">' +
         '<span class="admin-upload-name">' + escapeHtml(file.name) + '</span>' +
         '<div class="admin-upload-progress"><div class="admin-upload-bar"></div></div>' +
-        '<span class="admin-upload-status">Resizing…</span>' +
-      '</div>';
+        '<span class="admin-upload-status">Queued</span>' +
+        '<span class="admin-upload-meta"></span>' +
+        '<span class="admin-upload-warning" hidden></span>' +
+        '<div class="admin-upload-choices" hidden>' +
+          '<button type="button" class="btn btn-outline admin-add-btn" data-choice="rename">Rename</button>' +
+          '<button type="button" class="btn btn-outline admin-add-btn" data-choice="replace">Replace</button>' +
+          '<button type="button" class="btn btn-outline admin-add-btn" data-choice="skip">Skip</button>' +
+        '</div>' +
+      '</div>' +
+      '<button type="button" class="admin-icon-btn admin-upload-edit" title="Crop, rotate or set focal point">✎</button>' +
+      '<button type="button" class="admin-icon-btn admin-upload-retry" title="Retry" hidden>↻</button>' +
+      '<button type="button" class="admin-icon-btn admin-icon-btn--danger admin-upload-cancel" title="Cancel">✕</button>';
     uploadQueue.prepend(item);
 
-    const thumb = item.querySelector('.admin-upload-thumb');
-    const bar = item.querySelector('.admin-upload-bar');
-    const status = item.querySelector('.admin-upload-status');
-
-    try {
-      // Resize image client-side
-      const { base64, blob, width, height } = await resizeImage(file);
-      const blobUrl = URL.createObjectURL(blob);
-      thumb.src = blobUrl;
-
-      // Sanitize filename
-      const filename = sanitizeFilename(file.name);
+    const job = {
+      file, item, state: 'queued', edits: options.edits || null, image: null, name: options.name || null,
+      keepName: !!options.name, replace: !!options.replace, hash: null, parts: [], done: {}, attempts: 0, xhr: null, timer: null,
+    };
+    item.querySelector('.admin-upload-choices').addEventListener('click', (e) => {
+      const choice = e.target.dataset.choice;
+      if (choice) resolveCollision(job, choice);
+    });
+    item.querySelector('.admin-upload-cancel').addEventListener('click', () => cancelUpload(job));
+    item.querySelector('.admin-upload-edit').addEventListener('click', () => editUpload(job));
+    item.querySelector('.admin-upload-retry').addEventListener('click', () => {
+      job.attempts = 0;
+      setJobState(job, 'queued', 'Queued');
+      pumpUploads();
+    });
+    uploadJobs.push(job);
+    return job;
+  }
 
-      // Store blob URL for preview
-      uploadedBlobs[filename] = blobUrl;
+  function setJobState(job, state, message) {
+    job.state = state;
+    job.item.classList.toggle('admin-upload-done', state === 'done');
+    job.item.classList.toggle('admin-upload-error', state === 'failed' || state === 'rejected');
+    job.item.querySelector('.admin-upload-status').textContent = message;
+    job.item.querySelector('.admin-upload-retry').hidden = state !== 'failed';
+    job.item.querySelector('.admin-upload-edit').hidden = state === 'processing' || state === 'editing';
+    job.item.querySelector('.admin-upload-cancel').hidden = state === 'done' || state === 'rejected';
+    job.item.querySelector('.admin-upload-choices').hidden = state !== 'collision';
+  }
 
-      status.textContent = 'Uploading…';
-      bar.style.width = '50%';
+  // Starts queued jobs up to the concurrency limit; once nothing is left
+  // in flight, refreshes the image list a single time for the whole batch
+  function pumpUploads() {
+    const active = uploadJobs.filter((job) => job.state === 'processing' || job.state === 'uploading').length;
+    const queued = uploadJobs.filter((job) => job.state === 'queued');
+    if (!uploadsPaused) {
+      queued.slice(0, Math.max(0, uploadConcurrency - active)).forEach(runUpload);
+    }
+    updateUploadControls();
 
-      // Upload to Worker
-      const res = await apiRequest('/upload', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename, content: base64 }),
-      });
+    const settled = uploadJobs.every((job) => ['done', 'failed', 'rejected'].includes(job.state));
+    if (settled && batchResults.done + batchResults.failed > 0) {
+      const { done, failed } = batchResults;
+      batchResults = { done: 0, failed: 0 };
+      uploadJobs = uploadJobs.filter((job) => job.state === 'failed');
+      renderUnassigned();
+      if (done > 0) showToast('Staged ' + done + ' image' + (done === 1 ? '' : 's') + ' — publish from Manage Gallery');
+      if (failed > 0) showToast(failed + ' upload' + (failed === 1 ? '' : 's') + ' failed', 'error');
+    }
+  }
 
-      bar.style.width = '100%';
+  function updateUploadControls() {
+    const pending = uploadJobs.filter((job) => !['done', 'failed', 'rejected'].includes(job.state));
+    uploadControls.hidden = pending.length === 0 && !uploadsPaused;
+    uploadPauseBtn.textContent = uploadsPaused ? 'Resume' : 'Pause';
+    uploadSummary.textContent = uploadsPaused === 'auth'
+      ? 'Paused until you sign in again'
+      : pending.length + ' image' + (pending.length === 1 ? '' : 's') + ' left' + (uploadsPaused ? ' · paused' : '');
+  }
 
-      if (res.ok) {
-        status.textContent = 'Uploaded ✓';
-        item.classList.add('admin-upload-done');
-        // Refresh image list in background
-        await loadRepoImages();
-        renderUnassigned();
-      } else {
-        const data = await res.json();
-        status.textContent = data.error || 'Upload failed';
-        item.classList.add('admin-upload-error');
+  // In-flight requests are aborted and their files go back to the queue;
+  // parts already uploaded are kept
+  function pauseUploads(reason) {
+    uploadsPaused = reason;
+    uploadJobs.forEach((job) => {
+      if (job.state === 'waiting') clearTimeout(job.timer);
+      if (job.state === 'uploading' || job.state === 'waiting') {
+        if (job.xhr) job.xhr.abort();
+        setJobState(job, 'queued', 'Paused');
       }
-    } catch (err) {
-      status.textContent = 'Error: ' + err.message;
-      item.classList.add('admin-upload-error');
-    }
+    });
+    updateUploadControls();
   }
 
-  function sanitizeFilename(name) {
-    return name
-      .toLowerCase()
-      .replace(/[^a-z0-9._-]/g, '-')
-      .replace(/-+/g, '-');
+  function resumeUploads() {
+    uploadsPaused = null;
+    uploadJobs.forEach((job) => {
+      if (job.state === 'queued') job.item.querySelector('.admin-upload-status').textContent = 'Queued';
+    });
+    pumpUploads();
   }
 
-  // ── Image Resize ───────────────────────────────────────────────────────
-  function resizeImage(file) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      const reader = new FileReader();
-      reader.onload = () => { img.src = reader.result; };
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
+  function cancelUpload(job) {
+    clearTimeout(job.timer);
+    if (job.xhr) job.xhr.abort();
+    job.state = 'cancelled';
+    uploadJobs = uploadJobs.filter((j) => j !== job);
+    job.item.remove();
+    pumpUploads();
+  }
 
-      img.onload = () => {
-        let w = img.width;
-        let h = img.height;
+  async function runUpload(job) {
+    const { item } = job;
+    const bar = item.querySelector('.admin-upload-bar');
 
-        if (w > MAX_IMAGE_WIDTH) {
-          h = Math.round(h * (MAX_IMAGE_WIDTH / w));
-          w = MAX_IMAGE_WIDTH;
+    try {
+      if (!job.image) {
+        setJobState(job, 'processing', 'Processing…');
+        // A file that cannot be decoded will not decode on a retry either
+        const image = await processImage(job.file, job.edits, job.keepName ? job.name : null)
+          .catch((err) => { err.retryable = false; throw err; });
+        if (job.state === 'cancelled') return;
+        job.image = image;
+        nameUpload(job, job.keepName ? job.name : sanitizeFilename(job.file.name) + (image.transparent ? '.png' : '.jpg'));
+        item.querySelector('.admin-upload-thumb').src = URL.createObjectURL(image.blob);
+        item.querySelector('.admin-upload-meta').textContent = formatImageMeta(image.meta);
+        warnIfDuplicate(job);
+
+        // Nothing is overwritten unless the user picks Replace
+        if (!job.replace && nameTaken(job.name, job)) {
+          // Only the very same file can be replaced; another format under the
+          // same base name would keep its own entry but lose its derivatives
+          const exists = repoImages.some((img) => img.name === job.name);
+          setJobState(job, 'collision', exists
+            ? job.name + ' already exists. Rename, replace or skip this upload?'
+            : 'Another image is already named ' + baseName(job.name) + '. Rename or skip this upload?');
+          job.item.querySelector('[data-choice="rename"]').textContent = 'Rename to ' + freeName(job.name, job);
+          job.item.querySelector('[data-choice="replace"]').hidden = !hasRole('editor') || !exists;
+          return;
         }
+        if (uploadsPaused) {
+          setJobState(job, 'queued', 'Paused');
+          return;
+        }
+      }
 
-        const canvas = document.createElement('canvas');
-        canvas.width = w;
-        canvas.height = h;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, w, h);
-
-        canvas.toBlob(
-          (blob) => {
-            const reader2 = new FileReader();
-            reader2.onload = () => {
-              const base64 = reader2.result.split(',')[1];
-              resolve({ base64, blob, width: w, height: h });
-            };
-            reader2.onerror = reject;
-            reader2.readAsDataURL(blob);
-          },
-          'image/jpeg',
-          JPEG_QUALITY
-        );
-      };
-      img.onerror = () => reject(new Error('Failed to load image'));
-    });
-  }
+      setJobState(job, 'uploading', 'Uploading…');
+      const total = job.parts.reduce((sum, part) => sum + part.blob.size, 0);
+      let sent = job.parts.filter((part) => job.done[part.name]).reduce((sum, part) => sum + part.blob.size, 0);
 
-  // ── Gallery Data Loading ───────────────────────────────────────────────
-  async function loadGalleryData() {
-    galleryLoading.hidden = false;
-    galleryEmpty.hidden = true;
-    galleryActions.hidden = true;
+      for (const part of job.parts) {
+        if (job.done[part.name]) continue;
+        job.done[part.name] = await uploadBlob(job, part, (loaded) => {
+          const percent = Math.round((sent + loaded) / total * 100);
+          bar.style.width = percent + '%';
+          item.querySelector('.admin-upload-status').textContent = 'Uploading… ' + percent + '%';
+        });
+        sent += part.blob.size;
+      }
 
-    try {
-      await Promise.all([loadGalleryYaml(), loadRepoImages()]);
-      renderGalleryEditor();
-      renderUnassigned();
+      stageUpload(job);
+      bar.style.width = '100%';
+      setJobState(job, 'done', 'Staged ✓ — ' + (job.image.located ? 'location data removed, ' : '') + 'publish from Manage Gallery');
+      batchResults.done++;
     } catch (err) {
-      galleryLoading.textContent = 'Failed to load gallery data.';
+      if (job.state === 'cancelled' || err.name === 'AbortError') {
+        // Cancelled or paused; the job was already updated
+      } else if (err.status === 401) {
+        setJobState(job, 'queued', 'Paused');
+        if (uploadsPaused !== 'auth') {
+          pauseUploads('auth');
+          sessionExpired();
+        }
+      } else if (err.data && err.data.code === 'invalid_upload') {
+        setJobState(job, 'rejected', 'Rejected: ' + err.data.errors[0].error);
+        batchResults.failed++;
+      } else if (job.attempts < UPLOAD_RETRIES && err.retryable !== false) {
+        const delay = UPLOAD_BACKOFF * Math.pow(2, job.attempts);
+        job.attempts++;
+        setJobState(job, 'waiting', 'Error: ' + err.message + ' — retrying in ' + Math.round(delay / 1000) + ' s');
+        job.timer = setTimeout(() => {
+          if (job.state !== 'waiting') return;
+          setJobState(job, 'queued', 'Queued');
+          pumpUploads();
+        }, delay);
+      } else {
+        setJobState(job, 'failed', 'Error: ' + err.message);
+        batchResults.failed++;
+      }
+    } finally {
+      job.xhr = null;
+      pumpUploads();
     }
   }
 
-  async function loadGalleryYaml() {
-    const res = await apiRequest('/gallery');
-    if (res.ok) {
-      const data = await res.json();
-      galleryEntries = data.entries || [];
-      gallerySha = data.sha || null;
-    } else {
-      galleryEntries = [];
-      gallerySha = null;
-    }
+  // Names the image and its derivatives; blob receipts are bound to the
+  // name, so anything already uploaded under another one goes up again
+  function nameUpload(job, name) {
+    job.name = name;
+    job.parts = [{ name, blob: job.image.blob }].concat(
+      job.image.variants.map((variant) => ({ name: variantName(name, variant.width), blob: variant.blob }))
+    );
+    job.done = {};
+    job.item.dataset.name = name;
   }
 
-  async function loadRepoImages() {
-    const res = await apiRequest('/images');
-    if (res.ok) {
-      repoImages = await res.json();
-    } else {
-      repoImages = [];
-    }
+  // Published, staged or claimed by another upload in the queue. Names
+  // collide on their base alone: x.jpg and x.png would share x-480w.webp.
+  function nameTaken(name, job) {
+    const base = baseName(name);
+    return repoImages.some((img) => !isVariant(img.name) && baseName(img.name) === base) ||
+      Object.keys(stagedImages).some((staged) => baseName(staged) === base) ||
+      uploadJobs.some((other) => other !== job && other.name && baseName(other.name) === base && other.state !== 'cancelled');
   }
 
-  // ── Gallery Editor Rendering ───────────────────────────────────────────
-  function renderGalleryEditor() {
-    galleryLoading.hidden = true;
-    galleryEditor.innerHTML = '';
+  function freeName(name, job) {
+    const base = baseName(name);
+    const ext = name.slice(base.length);
+    let n = 2;
+    while (nameTaken(base + '-' + n + ext, job)) n++;
+    return base + '-' + n + ext;
+  }
 
-    if (galleryEntries.length === 0) {
-      galleryEmpty.hidden = false;
-      galleryActions.hidden = true;
+  function resolveCollision(job, choice) {
+    if (choice === 'skip') {
+      cancelUpload(job);
       return;
     }
+    if (choice === 'rename') nameUpload(job, freeName(job.name, job));
+    else job.replace = true;
+    setJobState(job, 'queued', 'Queued');
+    pumpUploads();
+  }
 
-    galleryEmpty.hidden = true;
-    galleryActions.hidden = false;
+  // Previews and receipts for the next publish
+  function stageUpload(job) {
+    const files = {};
+    job.parts.forEach((part) => {
+      if (part.name !== job.name) uploadedBlobs[part.name] = URL.createObjectURL(part.blob);
+      files[part.name] = job.done[part.name];
+    });
+    uploadedBlobs[job.name] = job.item.querySelector('.admin-upload-thumb').src;
+    const data = { ...job.image.meta, width: job.image.width, height: job.image.height, placeholder: job.image.placeholder };
+    if (job.edits && job.edits.focus) data.focus = formatFocus(job.edits.focus);
+    stagedImages[job.name] = { files, widths: job.image.variants.map((v) => v.width), data, hash: job.hash, replace: job.replace };
+
+    // An edited image already in the gallery: its entry follows the new file
+    const entries = galleryEntries.filter((entry) => entry.image === job.name);
+    entries.forEach((entry) => {
+      Object.assign(entry, data);
+      if (stagedImages[job.name].widths.length > 0) entry.widths = stagedImages[job.name].widths;
+      else delete entry.widths;
+    });
+    if (entries.length > 0) renderGalleryEditor();
+  }
 
-    galleryEntries.forEach((entry, i) => {
-      const imgUrl = getImageUrl(entry.image);
-      const el = document.createElement('div');
-      el.className = 'admin-gallery-item';
-      el.draggable = true;
-      el.setAttribute('data-index', i);
-      el.innerHTML =
-        '<span class="admin-drag-handle" title="Drag to reorder">&#9776;</span>' +
-        '<img src="' + escapeHtml(imgUrl) + '" alt="" class="admin-gallery-thumb">' +
-        '<div class="admin-gallery-fields">' +
-          '<input type="text" class="admin-input admin-input-sm" placeholder="Caption" value="' + escapeHtml(entry.caption || '') + '" data-field="caption">' +
-          '<input type="text" class="admin-input admin-input-sm" placeholder="Category" value="' + escapeHtml(entry.category || '') + '" data-field="category">' +
-        '</div>' +
-        '<button class="admin-delete-btn" title="Remove from gallery">&times;</button>';
+  // XHR rather than fetch for upload progress events. Resolves to
+  // { blob, receipt }; rejects with an error carrying the HTTP status and
+  // response body. A 401 is retried once after refreshing the session.
+  function uploadBlob(job, part, onProgress, retried = false) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      job.xhr = xhr;
+      xhr.open('POST', API_BASE + '/blobs?path=' + encodeURIComponent(part.name));
+      xhr.setRequestHeader('Authorization', 'Bearer ' + getToken());
+      xhr.setRequestHeader('Content-Type', part.blob.type);
+      xhr.upload.onprogress = (e) => onProgress(e.loaded);
+
+      xhr.onload = () => {
+        let data = {};
+        try { data = JSON.parse(xhr.responseText); } catch { /* not JSON */ }
+        if (xhr.status === 201) return resolve({ blob: data.blob, receipt: data.receipt });
+
+        const err = new Error(data.error || 'Upload failed (' + xhr.status + ')');
+        err.status = xhr.status;
+        err.data = data;
+        // Client errors other than rate limits will fail the same way again
+        err.retryable = xhr.status >= 500 || xhr.status === 429;
+        reject(err);
+      };
+      xhr.onerror = () => reject(new Error('Network error'));
+      xhr.onabort = () => reject(new DOMException('Upload aborted', 'AbortError'));
+      xhr.send(part.blob);
+    }).catch(async (err) => {
+      if (err.status === 401 && !retried && await refreshSession()) {
+        return uploadBlob(job, part, onProgress, true);
+      }
+      throw err;
+    });
+  }
 
-      // Field change handlers
-      el.querySelectorAll('input').forEach((input) => {
-        input.addEventListener('input', () => {
-          galleryEntries[i][input.getAttribute('data-field')] = input.value;
-        });
-      });
+  // Base name only: the extension follows the format the upload is encoded in
+  function sanitizeFilename(name) {
+    const base = name
+      .toLowerCase()
+      .replace(/\.[^.]*$/, '')
+      .replace(/[^a-z0-9._-]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^[^a-z0-9]+/, '');
+    return base || 'image';
+  }
 
-      // Delete handler
-      el.querySelector('.admin-delete-btn').addEventListener('click', () => {
-        galleryEntries.splice(i, 1);
-        renderGalleryEditor();
-        renderUnassigned();
-      });
+  // WebP derivatives live next to the image as <base>-<width>w.webp
+  function variantName(filename, width) {
+    return baseName(filename) + '-' + width + 'w.webp';
+  }
 
-      // Drag handlers
-      el.addEventListener('dragstart', (e) => {
-        dragSrcIndex = i;
-        el.classList.add('dragging');
-        e.dataTransfer.effectAllowed = 'move';
-      });
-      el.addEventListener('dragend', () => { el.classList.remove('dragging'); });
-      el.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
-        el.classList.add('drag-over');
-      });
-      el.addEventListener('dragleave', () => { el.classList.remove('drag-over'); });
-      el.addEventListener('drop', (e) => {
-        e.preventDefault();
-        el.classList.remove('drag-over');
-        if (dragSrcIndex !== null && dragSrcIndex !== i) {
-          const moved = galleryEntries.splice(dragSrcIndex, 1)[0];
-          galleryEntries.splice(i, 0, moved);
-          renderGalleryEditor();
-        }
-        dragSrcIndex = null;
-      });
+  function baseName(filename) {
+    return filename.replace(/\.[^.]+$/, '');
+  }
 
-      galleryEditor.appendChild(el);
-    });
+  function isVariant(name) {
+    return /-\d+w\.webp$/.test(name);
   }
 
-  // ── Unassigned Images ──────────────────────────────────────────────────
-  function renderUnassigned() {
-    const assignedNames = new Set(galleryEntries.map((e) => e.image));
-    const unassigned = repoImages.filter((img) => !assignedNames.has(img.name) && img.name !== '.gitkeep');
+  // Derivative widths of a staged or published image, smallest first
+  function imageWidths(filename) {
+    if (stagedImages[filename]) return stagedImages[filename].widths;
+    const prefix = filename.replace(/\.[^.]+$/, '') + '-';
+    return repoImages
+      .map((img) => img.name.startsWith(prefix) && img.name.slice(prefix.length).match(/^(\d+)w\.webp$/))
+      .filter(Boolean)
+      .map((match) => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+  }
 
-    if (unassigned.length === 0) {
-      unassignedSection.hidden = true;
-      return;
+  // The worker rejects bad files with { code: 'invalid_upload', errors: [{ path, error }] };
+  // each one is unstaged and flagged on its upload queue item
+  function showRejectedUploads(data) {
+    if (data.code !== 'invalid_upload') return false;
+
+    data.errors.forEach(({ path, error }) => {
+      const file = path.startsWith(IMAGE_DIR) ? path.slice(IMAGE_DIR.length) : path;
+      // A rejected derivative takes its whole upload with it
+      const name = Object.keys(stagedImages).find((n) => n === file || file in stagedImages[n].files) || file;
+      delete stagedImages[name];
+      const item = Array.from(uploadQueue.children).find((el) => el.dataset.name === name);
+      if (item) {
+        item.classList.remove('admin-upload-done');
+        item.classList.add('admin-upload-error');
+        item.querySelector('.admin-upload-status').textContent = 'Rejected: ' + error;
+      }
+    });
+    renderUnassigned();
+    showToast(data.error + ' — see the upload queue', 'error');
+    return true;
+  }
+
+  // ── Image Processing ───────────────────────────────────────────────────
+  // Each upload becomes a fallback image of up to MAX_IMAGE_WIDTH — JPEG, or
+  // PNG when it has transparency — plus a WebP derivative for every
+  // IMAGE_WIDTHS step below that and at its full width. Browsers that can't
+  // encode WebP get the fallback only.
+  // Only canvas output is ever uploaded, never the original file, so EXIF
+  // (GPS position and serial numbers included) can't leak; the worker
+  // refuses images that still carry any.
+  // `name`, when replacing an image, fixes the format to its extension.
+  async function processImage(file, edits, name) {
+    const exif = await readExif(file);
+    const img = applyEdits(orientImage(await loadImage(file), exif.orientation), edits);
+    const width = Math.min(img.width, MAX_IMAGE_WIDTH);
+    const transparent = name ? /\.png$/i.test(name) : file.type !== 'image/jpeg' && hasTransparency(img);
+    const fallback = await encodeImage(img, width, transparent ? 'image/png' : 'image/jpeg', JPEG_QUALITY);
+    const placeholder = await placeholderFor(img);
+    const hash = imageHash(img);
+    const image = { ...fallback, transparent, placeholder, hash, meta: exif.meta, located: exif.located, variants: [] };
+
+    for (const w of IMAGE_WIDTHS.filter((w) => w < width).concat(width)) {
+      const variant = await encodeImage(img, w, 'image/webp', WEBP_QUALITY);
+      if (variant.blob.type !== 'image/webp') return { ...image, variants: [] };
+      image.variants.push(variant);
     }
+    return image;
+  }
 
-    unassignedSection.hidden = false;
-    unassignedList.innerHTML = '';
+  async function loadImage(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      return await loadImageUrl(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
 
-    unassigned.forEach((img) => {
-      const imgUrl = getImageUrl(img.name);
-      const el = document.createElement('div');
-      el.className = 'admin-unassigned-item';
-      el.innerHTML =
-        '<img src="' + escapeHtml(imgUrl) + '" alt="" class="admin-gallery-thumb">' +
-        '<span class="admin-unassigned-name">' + escapeHtml(img.name) + '</span>' +
-        '<button class="btn btn-outline admin-add-btn">Add to Gallery</button>';
+  // Resolves to an element whose width/height are the image's own size
+  function loadImageUrl(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        img.width = img.naturalWidth;
+        img.height = img.naturalHeight;
+        resolve(img);
+      };
+      img.onerror = () => reject(new Error('Failed to load image'));
+      img.src = url;
+    });
+  }
 
-      el.querySelector('.admin-add-btn').addEventListener('click', () => {
-        galleryEntries.push({ image: img.name, caption: '', category: '' });
-        renderGalleryEditor();
-        renderUnassigned();
-        // Show actions bar now that we have items
-        galleryEmpty.hidden = true;
-        galleryActions.hidden = false;
-      });
+  // Tiny WebP (or JPEG) data URI that gallery.html blurs up as a placeholder
+  async function placeholderFor(img) {
+    const width = Math.min(PLACEHOLDER_WIDTH, img.width);
+    let lqip = await encodeImage(img, width, 'image/webp', 0.5);
+    if (lqip.blob.type !== 'image/webp') lqip = await encodeImage(img, width, 'image/jpeg', 0.5);
+    return 'data:' + lqip.blob.type + ';base64,' + lqip.base64;
+  }
 
-      unassignedList.appendChild(el);
-    });
+  // Browsers that support image-orientation already decode images upright;
+  // for older ones the EXIF orientation (2–8) is applied on a canvas
+  function orientImage(img, orientation) {
+    if (orientation < 2 || orientation > 8 || CSS.supports('image-orientation', 'from-image')) return img;
+
+    const w = img.width;
+    const h = img.height;
+    const canvas = document.createElement('canvas');
+    canvas.width = orientation >= 5 ? h : w;
+    canvas.height = orientation >= 5 ? w : h;
+    const ctx = canvas.getContext('2d');
+    const transforms = {
+      2: [-1, 0, 0, 1, w, 0],
+      3: [-1, 0, 0, -1, w, h],
+      4: [1, 0, 0, -1, 0, h],
+      5: [0, 1, 1, 0, 0, 0],
+      6: [0, 1, -1, 0, h, 0],
+      7: [0, -1, -1, 0, h, w],
+      8: [0, -1, 1, 0, 0, w],
+    };
+    ctx.transform(...transforms[orientation]);
+    ctx.drawImage(img, 0, 0);
+    return canvas;
   }
 
-  function getImageUrl(filename) {
-    // Prefer blob URL for just-uploaded images not yet deployed
-    if (uploadedBlobs[filename]) return uploadedBlobs[filename];
-    // Fall back to the deployed site path
-    return '/assets/images/gallery/' + filename;
+  // Sampled at a reduced size, which is plenty to spot transparent areas
+  function hasTransparency(img) {
+    const scale = Math.min(1, 512 / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.width * scale));
+    canvas.height = Math.max(1, Math.round(img.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    for (let i = 3; i < pixels.length; i += 4) {
+      if (pixels[i] < 255) return true;
+    }
+    return false;
   }
 
-  // ── Preview ────────────────────────────────────────────────────────────
-  previewBtn.addEventListener('click', () => {
-    previewContent.innerHTML = '';
+  function encodeImage(img, width, type, quality) {
+    const height = Math.round(img.height * (width / img.width));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(img, 0, 0, width, height);
 
-    if (galleryEntries.length === 0) {
-      previewContent.innerHTML = '<p class="gallery-empty">No items to preview.</p>';
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (!blob) {
+            reject(new Error('Failed to encode image'));
+            return;
+          }
+          const reader = new FileReader();
+          reader.onload = () => resolve({ blob, base64: reader.result.split(',')[1], width, height });
+          reader.onerror = reject;
+          reader.readAsDataURL(blob);
+        },
+        type,
+        quality
+      );
+    });
+  }
+
+  // ── Duplicate Detection ────────────────────────────────────────────────
+  // 64-bit difference hashes (dHash): each bit says whether a pixel of a
+  // 9×8 greyscale thumbnail is brighter than its right-hand neighbour, so
+  // re-encoded, resized or lightly edited copies hash (nearly) alike.
+  // Hashes of published images are cached by blob SHA in localStorage.
+  const DUPLICATE_DISTANCE = 6; // differing bits still counted as the same image
+  const HASH_CACHE_KEY = 'admin_image_hashes';
+  let repoHashes = null; // Promise of [{ name, hash }] for repoImages
+
+  function imageHash(img) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 9;
+    canvas.height = 8;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, 9, 8);
+    const pixels = ctx.getImageData(0, 0, 9, 8).data;
+    const grey = (x, y) => {
+      const i = (y * 9 + x) * 4;
+      return pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+    };
+
+    let hash = '';
+    for (let y = 0; y < 8; y++) {
+      let nibble = 0;
+      for (let x = 0; x < 8; x++) {
+        nibble = (nibble << 1) | (grey(x, y) > grey(x + 1, y) ? 1 : 0);
+        if (x % 4 === 3) {
+          hash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    return hash;
+  }
+
+  function hashDistance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      for (; diff; diff >>= 1) bits += diff & 1;
+    }
+    return bits;
+  }
+
+  // Hashed one at a time from the smallest derivative, once per session
+  // for images not in the cache
+  function loadRepoHashes() {
+    if (repoHashes) return repoHashes;
+    repoHashes = (async () => {
+      let cache = {};
+      try {
+        cache = JSON.parse(localStorage.getItem(HASH_CACHE_KEY)) || {};
+      } catch { /* start over */ }
+
+      const hashes = [];
+      for (const img of repoImages.filter((i) => i.name !== '.gitkeep' && !isVariant(i.name))) {
+        if (!cache[img.sha]) {
+          const widths = imageWidths(img.name);
+          try {
+            cache[img.sha] = imageHash(await loadImageUrl(getImageUrl(widths.length > 0 ? variantName(img.name, widths[0]) : img.name)));
+          } catch {
+            continue;
+          }
+        }
+        hashes.push({ name: img.name, hash: cache[img.sha] });
+      }
+      localStorage.setItem(HASH_CACHE_KEY, JSON.stringify(cache));
+      return hashes;
+    })();
+    return repoHashes;
+  }
+
+  // Warns (without stopping the upload) when the image looks like one
+  // already published or staged
+  async function warnIfDuplicate(job) {
+    job.hash = job.image.hash;
+    const staged = Object.keys(stagedImages)
+      .filter((name) => stagedImages[name].hash && name !== job.name)
+      .map((name) => ({ name, hash: stagedImages[name].hash }));
+    const known = (await loadRepoHashes()).filter((h) => h.name !== job.name || !job.replace).concat(staged);
+    const match = known.find((h) => hashDistance(h.hash, job.hash) <= DUPLICATE_DISTANCE);
+
+    const warning = job.item.querySelector('.admin-upload-warning');
+    warning.hidden = !match;
+    if (match) warning.textContent = 'Looks like ' + match.name + ', which is already ' + (match.name in stagedImages ? 'staged' : 'uploaded');
+  }
+
+  // ── Image Editor ───────────────────────────────────────────────────────
+  // Crop (free or to a fixed aspect), rotate, flip and focal point. Edits
+  // are { rotate, flipX, flipY, crop, focus }: the image is flipped, turned
+  // `rotate` degrees clockwise, then cut to `crop` ({ x, y, w, h } as
+  // fractions of the turned image). `focus` ({ x, y }, fractions of the
+  // cropped image) is saved to the gallery entry as its object-position.
+  const EDITOR_PREVIEW_SIZE = 1200; // longest side of the on-screen copy
+  const CROP_ASPECTS = { free: null, '1:1': 1, '4:3': 4 / 3, '16:9': 16 / 9 };
+  const FULL_CROP = { x: 0, y: 0, w: 1, h: 1 };
+  let imageEditor = null; // { preview, edits, aspect, mode, resolve } while open
+
+  function defaultEdits() {
+    return { rotate: 0, flipX: false, flipY: false, crop: null, focus: null };
+  }
+
+  function hasTransform(edits) {
+    return !!edits && (edits.rotate !== 0 || edits.flipX || edits.flipY || !!edits.crop);
+  }
+
+  // CSS object-position, as stored in gallery.yml
+  function formatFocus(focus) {
+    return focus ? Math.round(focus.x * 100) + '% ' + Math.round(focus.y * 100) + '%' : null;
+  }
+
+  function parseFocus(value) {
+    const match = String(value || '').match(/^(\d+(?:\.\d+)?)% (\d+(?:\.\d+)?)%$/);
+    return match ? { x: clamp(match[1] / 100), y: clamp(match[2] / 100) } : null;
+  }
+
+  function clamp(value, min = 0, max = 1) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  // Flipped first, then turned clockwise
+  function transformImage(src, edits) {
+    const quarter = edits.rotate % 180 !== 0;
+    const canvas = document.createElement('canvas');
+    canvas.width = quarter ? src.height : src.width;
+    canvas.height = quarter ? src.width : src.height;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(edits.rotate * Math.PI / 180);
+    ctx.scale(edits.flipX ? -1 : 1, edits.flipY ? -1 : 1);
+    ctx.drawImage(src, -src.width / 2, -src.height / 2);
+    return canvas;
+  }
+
+  function applyEdits(img, edits) {
+    if (!hasTransform(edits)) return img;
+    const turned = transformImage(img, edits);
+    if (!edits.crop) return turned;
+
+    const c = edits.crop;
+    const x = Math.round(c.x * turned.width);
+    const y = Math.round(c.y * turned.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.min(turned.width - x, Math.round(c.w * turned.width)));
+    canvas.height = Math.max(1, Math.min(turned.height - y, Math.round(c.h * turned.height)));
+    canvas.getContext('2d').drawImage(turned, x, y, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  // Resolves to the new edits, or null when cancelled
+  function openEditor(source, edits) {
+    const scale = Math.min(1, EDITOR_PREVIEW_SIZE / Math.max(source.width, source.height));
+    const preview = document.createElement('canvas');
+    preview.width = Math.max(1, Math.round(source.width * scale));
+    preview.height = Math.max(1, Math.round(source.height * scale));
+    preview.getContext('2d').drawImage(source, 0, 0, preview.width, preview.height);
+
+    return new Promise((resolve) => {
+      imageEditor = { preview, edits: JSON.parse(JSON.stringify(edits || defaultEdits())), aspect: 'free', mode: 'crop', resolve };
+      renderEditor();
+      editorModal.hidden = false;
+      document.body.style.overflow = 'hidden';
+    });
+  }
+
+  function closeEditor(result) {
+    const { resolve } = imageEditor;
+    imageEditor = null;
+    editorModal.hidden = true;
+    document.body.style.overflow = '';
+    resolve(result);
+  }
+
+  function renderEditor() {
+    const { edits } = imageEditor;
+    const view = transformImage(imageEditor.preview, edits);
+    editorCanvas.width = view.width;
+    editorCanvas.height = view.height;
+    editorCanvas.getContext('2d').drawImage(view, 0, 0);
+
+    const crop = edits.crop || FULL_CROP;
+    editorCrop.style.left = crop.x * 100 + '%';
+    editorCrop.style.top = crop.y * 100 + '%';
+    editorCrop.style.width = crop.w * 100 + '%';
+    editorCrop.style.height = crop.h * 100 + '%';
+
+    const focus = edits.focus || { x: 0.5, y: 0.5 };
+    editorFocus.style.left = (crop.x + focus.x * crop.w) * 100 + '%';
+    editorFocus.style.top = (crop.y + focus.y * crop.h) * 100 + '%';
+    editorFocus.hidden = !edits.focus && imageEditor.mode !== 'focus';
+
+    editorStage.classList.toggle('admin-editor-stage--focus', imageEditor.mode === 'focus');
+    editorToolbar.querySelectorAll('[data-aspect]').forEach((btn) => btn.classList.toggle('active', btn.dataset.aspect === imageEditor.aspect));
+    editorToolbar.querySelectorAll('[data-mode]').forEach((btn) => btn.classList.toggle('active', btn.dataset.mode === imageEditor.mode));
+  }
+
+  // Crop and focal point turn and flip along with the image
+  const EDITOR_ACTIONS = {
+    'rotate-right': (edits) => turnEdits(edits, 1),
+    'rotate-left': (edits) => turnEdits(edits, 3),
+    'flip-x': (edits) => flipEdits(edits, true),
+    'flip-y': (edits) => flipEdits(edits, false),
+    'reset': (edits) => Object.assign(edits, defaultEdits()),
+  };
+
+  function turnEdits(edits, quarters) {
+    for (let i = 0; i < quarters; i++) {
+      edits.rotate = (edits.rotate + 90) % 360;
+      const c = edits.crop;
+      if (c) edits.crop = { x: 1 - c.y - c.h, y: c.x, w: c.h, h: c.w };
+      if (edits.focus) edits.focus = { x: 1 - edits.focus.y, y: edits.focus.x };
+    }
+    imageEditor.aspect = 'free';
+  }
+
+  // Flips apply before the turn, so after a quarter turn they swap axes
+  function flipEdits(edits, horizontal) {
+    if (horizontal === (edits.rotate % 180 === 0)) edits.flipX = !edits.flipX;
+    else edits.flipY = !edits.flipY;
+
+    const c = edits.crop;
+    if (horizontal) {
+      if (c) c.x = 1 - c.x - c.w;
+      if (edits.focus) edits.focus.x = 1 - edits.focus.x;
+    } else {
+      if (c) c.y = 1 - c.y - c.h;
+      if (edits.focus) edits.focus.y = 1 - edits.focus.y;
+    }
+  }
+
+  // Width-to-height ratio of the chosen aspect, in fractions of the image
+  function cropRatio() {
+    const ratio = CROP_ASPECTS[imageEditor.aspect];
+    return ratio && ratio * editorCanvas.height / editorCanvas.width;
+  }
+
+  // Largest centred box of the new aspect inside the current crop
+  function setCropAspect(name) {
+    imageEditor.aspect = name;
+    const r = cropRatio();
+    if (!r) return;
+    const c = imageEditor.edits.crop || FULL_CROP;
+    let w = c.w;
+    let h = w / r;
+    if (h > c.h) {
+      h = c.h;
+      w = h * r;
+    }
+    imageEditor.edits.crop = { x: c.x + (c.w - w) / 2, y: c.y + (c.h - h) / 2, w, h };
+  }
+
+  // Box from the anchor towards p, held to the aspect and inside the image
+  function cropBetween(anchor, p) {
+    let w = Math.abs(p.x - anchor.x);
+    let h = Math.abs(p.y - anchor.y);
+    const r = cropRatio();
+    if (r) {
+      const maxW = p.x < anchor.x ? anchor.x : 1 - anchor.x;
+      const maxH = p.y < anchor.y ? anchor.y : 1 - anchor.y;
+      if (w > h * r) h = w / r;
+      else w = h * r;
+      if (w > maxW) {
+        w = maxW;
+        h = w / r;
+      }
+      if (h > maxH) {
+        h = maxH;
+        w = h * r;
+      }
+    }
+    return { x: p.x < anchor.x ? anchor.x - w : anchor.x, y: p.y < anchor.y ? anchor.y - h : anchor.y, w, h };
+  }
+
+  editorToolbar.addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn || !imageEditor) return;
+    if (btn.dataset.mode) imageEditor.mode = btn.dataset.mode;
+    if (btn.dataset.aspect) setCropAspect(btn.dataset.aspect);
+    if (btn.dataset.action) EDITOR_ACTIONS[btn.dataset.action](imageEditor.edits);
+    renderEditor();
+  });
+
+  // Crop mode: dragging the box moves it, a corner handle resizes it and
+  // dragging anywhere else draws a new one. Focus mode: a click sets the
+  // focal point.
+  editorStage.addEventListener('pointerdown', (e) => {
+    if (!imageEditor) return;
+    e.preventDefault();
+    const rect = editorCanvas.getBoundingClientRect();
+    const at = (ev) => ({ x: clamp((ev.clientX - rect.left) / rect.width), y: clamp((ev.clientY - rect.top) / rect.height) });
+    const start = at(e);
+    const { edits } = imageEditor;
+    const c0 = { ...(edits.crop || FULL_CROP) };
+
+    if (imageEditor.mode === 'focus') {
+      edits.focus = { x: clamp((start.x - c0.x) / c0.w), y: clamp((start.y - c0.y) / c0.h) };
+      renderEditor();
+      return;
+    }
+
+    let drag;
+    const corner = e.target.dataset.corner;
+    if (corner) {
+      // The opposite corner stays put
+      const anchor = { x: corner.includes('w') ? c0.x + c0.w : c0.x, y: corner.includes('n') ? c0.y + c0.h : c0.y };
+      drag = (p) => cropBetween(anchor, p);
+    } else if (e.target === editorCrop) {
+      drag = (p) => ({ ...c0, x: clamp(c0.x + p.x - start.x, 0, 1 - c0.w), y: clamp(c0.y + p.y - start.y, 0, 1 - c0.h) });
+    } else {
+      drag = (p) => cropBetween(start, p);
+    }
+
+    const move = (ev) => {
+      const crop = drag(at(ev));
+      if (crop.w < 0.02 || crop.h < 0.02) return;
+      edits.crop = crop;
+      renderEditor();
+    };
+    const end = () => {
+      editorStage.removeEventListener('pointermove', move);
+      editorStage.removeEventListener('pointerup', end);
+      editorStage.removeEventListener('pointercancel', end);
+    };
+    editorStage.setPointerCapture(e.pointerId);
+    editorStage.addEventListener('pointermove', move);
+    editorStage.addEventListener('pointerup', end);
+    editorStage.addEventListener('pointercancel', end);
+  });
+
+  editorCancelBtn.addEventListener('click', () => closeEditor(null));
+
+  editorApplyBtn.addEventListener('click', () => {
+    const edits = imageEditor.edits;
+    // A box covering the whole image is no crop at all
+    if (edits.crop && edits.crop.w > 0.995 && edits.crop.h > 0.995) edits.crop = null;
+    closeEditor(edits);
+  });
+
+  // Queued, failed or finished uploads alike: the file is processed and
+  // uploaded again with the new edits
+  async function editUpload(job) {
+    if (['queued', 'waiting', 'uploading'].includes(job.state)) {
+      clearTimeout(job.timer);
+      if (job.xhr) job.xhr.abort();
+      setJobState(job, 'editing', 'Editing…');
+    }
+
+    let edits = null;
+    try {
+      const exif = await readExif(job.file);
+      edits = await openEditor(orientImage(await loadImage(job.file), exif.orientation), job.edits);
+    } catch (err) {
+      showToast('Could not open ' + job.file.name + ': ' + err.message, 'error');
+    }
+
+    if (!edits) {
+      if (job.state === 'editing') setJobState(job, 'queued', 'Queued');
+      pumpUploads();
+      return;
+    }
+
+    // Already in the gallery: keep the name its entry refers to
+    if (job.state === 'done') {
+      if (galleryEntries.some((entry) => entry.image === job.name)) job.keepName = true;
+      else delete stagedImages[job.name];
+      if (job.keepName) job.replace = true;
+    }
+    Object.assign(job, { edits, image: null, parts: [], done: {}, attempts: 0 });
+    if (!uploadJobs.includes(job)) uploadJobs.push(job);
+    setJobState(job, 'queued', 'Queued');
+    pumpUploads();
+  }
+
+  // A new focal point only changes the entry. Cropping, turning or
+  // flipping re-encodes the published image and uploads it under the same
+  // name, to be published with the gallery.
+  async function editGalleryImage(entry) {
+    let source;
+    try {
+      source = await loadImageUrl(getImageUrl(entry.image));
+    } catch (err) {
+      showToast('Could not load ' + entry.image, 'error');
+      return;
+    }
+
+    const edits = await openEditor(source, { ...defaultEdits(), focus: parseFocus(entry.focus) });
+    if (!edits) return;
+
+    if (edits.focus) entry.focus = formatFocus(edits.focus);
+    else delete entry.focus;
+    renderGalleryEditor();
+
+    if (!hasTransform(edits)) {
+      showToast('Focal point set — publish to save');
+      return;
+    }
+
+    const png = /\.png$/i.test(entry.image);
+    const copy = await encodeImage(source, source.width, png ? 'image/png' : 'image/jpeg', 0.95);
+    queueUpload(new File([copy.blob], entry.image, { type: copy.blob.type }), { name: entry.image, edits, replace: true });
+    pumpUploads();
+    showToast('Uploading the edited image; publish once it is staged');
+  }
+
+  // ── EXIF ───────────────────────────────────────────────────────────────
+  // Just enough TIFF/EXIF parsing to read the orientation and a few
+  // descriptive tags from JPEG (APP1), PNG (eXIf) and WebP (EXIF chunk)
+  // files. GPS and serial-number tags are never read.
+  const EXIF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+  async function readExif(file) {
+    const result = { orientation: 1, meta: {}, located: false };
+    try {
+      const tiff = findExif(new Uint8Array(await file.arrayBuffer()));
+      if (!tiff || tiff.length < 8) return result;
+
+      const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+      const little = view.getUint16(0) === 0x4949;
+      const ifd0 = readIfd(view, view.getUint32(4, little), little);
+      const exif = ifd0[0x8769] ? readIfd(view, ifd0[0x8769], little) : {};
+
+      result.orientation = ifd0[0x0112] || 1;
+      result.located = 0x8825 in ifd0; // GPS IFD pointer
+      result.meta = exifMeta(ifd0, exif);
+    } catch (err) {
+      // Unreadable metadata just means none is captured
+    }
+    return result;
+  }
+
+  // The TIFF block holding the EXIF data, if the file has one
+  function findExif(bytes) {
+    const text = (at, length) => String.fromCharCode.apply(null, bytes.subarray(at, at + length));
+    const view = new DataView(bytes.buffer);
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+      for (let i = 2; i + 4 < bytes.length && bytes[i] === 0xFF && bytes[i + 1] !== 0xDA;) {
+        const length = view.getUint16(i + 2);
+        if (bytes[i + 1] === 0xE1 && text(i + 4, 6) === 'Exif\0\0') return bytes.subarray(i + 10, i + 2 + length);
+        i += 2 + length;
+      }
+    } else if (text(1, 3) === 'PNG') {
+      for (let i = 8; i + 8 < bytes.length;) {
+        const length = view.getUint32(i);
+        if (text(i + 4, 4) === 'eXIf') return bytes.subarray(i + 8, i + 8 + length);
+        i += 12 + length;
+      }
+    } else if (text(0, 4) === 'RIFF' && text(8, 4) === 'WEBP') {
+      for (let i = 12; i + 8 < bytes.length;) {
+        const length = view.getUint32(i + 4, true);
+        if (text(i, 4) === 'EXIF') {
+          const start = text(i + 8, 6) === 'Exif\0\0' ? i + 14 : i + 8;
+          return bytes.subarray(start, i + 8 + length);
+        }
+        i += 8 + length + (length % 2);
+      }
+    }
+    return null;
+  }
+
+  // tag → value for the ASCII, SHORT, LONG and RATIONAL entries of an IFD
+  function readIfd(view, offset, little) {
+    const tags = {};
+    const count = view.getUint16(offset, little);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > view.byteLength) break;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const size = (EXIF_TYPE_SIZES[type] || 0) * view.getUint32(entry + 4, little);
+      const at = size > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+      if (size === 0 || at + size > view.byteLength) continue;
+
+      if (type === 2) {
+        tags[tag] = new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + at, size)).replace(/\0[\s\S]*$/, '').trim();
+      } else if (type === 3) {
+        tags[tag] = view.getUint16(at, little);
+      } else if (type === 4) {
+        tags[tag] = view.getUint32(at, little);
+      } else if (type === 5 && view.getUint32(at + 4, little) !== 0) {
+        tags[tag] = view.getUint32(at, little) / view.getUint32(at + 4, little);
+      }
+    }
+    return tags;
+  }
+
+  // Gallery entry fields: taken (local date-time), camera, lens, exposure
+  function exifMeta(ifd0, exif) {
+    const meta = {};
+
+    const date = String(exif[0x9003] || ifd0[0x0132] || '').match(/^(\d{4}):(\d\d):(\d\d) (\d\d:\d\d:\d\d)/);
+    if (date && date[1] !== '0000') meta.taken = date[1] + '-' + date[2] + '-' + date[3] + 'T' + date[4];
+
+    const make = ifd0[0x010F] || '';
+    const model = ifd0[0x0110] || '';
+    if (model) meta.camera = make && !model.toLowerCase().startsWith(make.split(' ')[0].toLowerCase()) ? make + ' ' + model : model;
+
+    if (exif[0xA434]) meta.lens = exif[0xA434];
+
+    const exposure = [];
+    if (exif[0x829D]) exposure.push('f/' + Math.round(exif[0x829D] * 10) / 10);
+    if (exif[0x829A]) exposure.push(exif[0x829A] >= 1 ? exif[0x829A] + 's' : '1/' + Math.round(1 / exif[0x829A]) + 's');
+    if (exif[0x8827]) exposure.push('ISO ' + exif[0x8827]);
+    if (exif[0x920A]) exposure.push(Math.round(exif[0x920A]) + 'mm');
+    if (exposure.length > 0) meta.exposure = exposure.join(' ');
+
+    return meta;
+  }
+
+  function formatImageMeta(meta) {
+    return [
+      meta.taken && new Date(meta.taken).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }),
+      meta.camera,
+      meta.lens,
+      meta.exposure,
+    ].filter(Boolean).join(' · ');
+  }
+
+  // ── Gallery Data Loading ───────────────────────────────────────────────
+  async function loadGalleryData() {
+    galleryLoading.hidden = false;
+    galleryEmpty.hidden = true;
+    galleryActions.hidden = true;
+
+    try {
+      await Promise.all([loadGalleryYaml(), loadRepoImages()]);
+      adoptCategories();
+      renderGalleryEditor();
+      renderUnassigned();
+    } catch (err) {
+      galleryLoading.textContent = 'Failed to load gallery data.';
+    }
+  }
+
+  async function loadGalleryYaml() {
+    const res = await apiRequest('/gallery');
+    if (res.ok) {
+      const data = await res.json();
+      const categories = data.categories || {};
+      galleryEntries = data.entries || [];
+      attachYamlComments(galleryEntries, data.comments);
+      gallerySha = data.sha || null;
+      galleryCategories = categories.entries || [];
+      attachYamlComments(galleryCategories, categories.comments);
+      categoriesSha = categories.sha || null;
+    } else {
+      galleryEntries = [];
+      gallerySha = null;
+      galleryCategories = [];
+      categoriesSha = null;
+    }
+    galleryBase = cloneEntries(galleryEntries);
+    categoriesBase = cloneEntries(galleryCategories);
+  }
+
+  async function loadRepoImages() {
+    const res = await apiRequest('/images');
+    if (res.ok) {
+      repoImages = await res.json();
+    } else {
+      repoImages = [];
+    }
+    repoHashes = null;
+  }
+
+  // ── Gallery Editor Rendering ───────────────────────────────────────────
+  function renderGalleryEditor() {
+    galleryLoading.hidden = true;
+    galleryEditor.innerHTML = '';
+
+    updateGalleryActions();
+    renderCategories();
+
+    if (galleryEntries.length === 0) {
+      galleryEmpty.hidden = false;
+      return;
+    }
+
+    galleryEmpty.hidden = true;
+
+    galleryEntries.forEach((entry, i) => {
+      const el = document.createElement('div');
+      el.className = 'admin-gallery-item';
+      el.draggable = true;
+      el.setAttribute('data-index', i);
+      el.innerHTML =
+        '<span class="admin-drag-handle" title="Drag to reorder">&#9776;</span>' +
+        thumbHtml(entry) +
+        '<div class="admin-gallery-fields">' +
+          '<input type="text" class="admin-input admin-input-sm" placeholder="Caption" value="' + escapeHtml(entry.caption || '') + '" data-field="caption">' +
+          '<input type="text" class="admin-input admin-input-sm" placeholder="Album" list="categoryOptions" value="' + escapeHtml(categoryName(entry.category)) + '" data-field="category">' +
+          (formatImageMeta(entry) ? '<span class="admin-gallery-meta">' + escapeHtml(formatImageMeta(entry)) + '</span>' : '') +
+        '</div>' +
+        '<button class="admin-icon-btn admin-edit-btn" title="Crop, rotate or set focal point">✎</button>' +
+        '<button class="admin-delete-btn" title="Remove from gallery">&times;</button>';
+
+      el.querySelector('.admin-edit-btn').addEventListener('click', () => editGalleryImage(entry));
+
+      // Field change handlers
+      el.querySelectorAll('input:not([data-field="category"])').forEach((input) => {
+        input.addEventListener('input', () => {
+          galleryEntries[i][input.getAttribute('data-field')] = input.value;
+        });
+      });
+      const categoryInput = el.querySelector('[data-field="category"]');
+      categoryInput.addEventListener('change', () => setEntryCategory(entry, categoryInput));
+
+      // Delete handler
+      el.querySelector('.admin-delete-btn').addEventListener('click', () => {
+        galleryEntries.splice(i, 1);
+        renderGalleryEditor();
+        renderUnassigned();
+      });
+
+      // Drag handlers
+      el.addEventListener('dragstart', (e) => {
+        dragSrcIndex = i;
+        el.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+      });
+      el.addEventListener('dragend', () => { el.classList.remove('dragging'); });
+      el.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        el.classList.add('drag-over');
+      });
+      el.addEventListener('dragleave', () => { el.classList.remove('drag-over'); });
+      el.addEventListener('drop', (e) => {
+        e.preventDefault();
+        el.classList.remove('drag-over');
+        if (dragSrcIndex !== null && dragSrcIndex !== i) {
+          const moved = galleryEntries.splice(dragSrcIndex, 1)[0];
+          galleryEntries.splice(i, 0, moved);
+          renderGalleryEditor();
+        }
+        dragSrcIndex = null;
+      });
+
+      galleryEditor.appendChild(el);
+    });
+  }
+
+  // The smallest derivative is plenty for a thumbnail
+  function thumbHtml(entry) {
+    const widths = entry.widths || [];
+    const imgUrl = getImageUrl(widths.length > 0 ? variantName(entry.image, widths[0]) : entry.image);
+    return '<img src="' + escapeHtml(imgUrl) + '" alt="" class="admin-gallery-thumb"' +
+      (entry.focus ? ' style="object-position: ' + escapeHtml(entry.focus) + '"' : '') + '>';
+  }
+
+  // ── Albums ─────────────────────────────────────────────────────────────
+  // Categories are listed in gallery_categories.yml in display order and
+  // entries refer to them by slug, so a rename only touches the list and
+  // the album keeps its address. Every album also has a page at
+  // _albums/<slug>.md, which the next publish adds, retitles or deletes.
+  categoryForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = categoryNameInput.value.trim();
+    if (findCategory(name)) {
+      showToast('There is already an album called “' + name + '”', 'error');
+    } else if (!createCategory(name)) {
+      showToast('Album names need at least one letter or digit', 'error');
+    } else {
+      categoryNameInput.value = '';
+      renderCategories();
+    }
+  });
+
+  function slugify(name) {
+    return name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  // By slug or (case-insensitively) by name
+  function findCategory(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key) return null;
+    return galleryCategories.find((c) => c.slug === key || String(c.name).toLowerCase() === key) || null;
+  }
+
+  function categoryName(slug) {
+    const category = galleryCategories.find((c) => c.slug === slug);
+    return category ? category.name : slug || '';
+  }
+
+  function createCategory(name) {
+    const base = slugify(name);
+    if (!base) return null;
+    let slug = base;
+    for (let n = 2; galleryCategories.some((c) => c.slug === slug); n++) slug = base + '-' + n;
+    const category = { slug, name };
+    galleryCategories.push(category);
+    return category;
+  }
+
+  // Entries from before albums name their category rather than its slug;
+  // categories that are not listed yet become albums of their own
+  function adoptCategories() {
+    galleryEntries.forEach((entry) => {
+      if (!entry.category || galleryCategories.some((c) => c.slug === entry.category)) return;
+      const category = findCategory(entry.category) || createCategory(String(entry.category));
+      if (category) entry.category = category.slug;
+    });
+  }
+
+  // The Category field suggests the existing albums; anything else is a
+  // new album, created only once confirmed
+  function setEntryCategory(entry, input) {
+    const value = input.value.trim();
+    let category = findCategory(value);
+    if (value && !category && confirm('Create a new album “' + value + '”?')) {
+      category = createCategory(value);
+      if (!category) showToast('Album names need at least one letter or digit', 'error');
+    }
+    if (value && !category) {
+      input.value = categoryName(entry.category);
+      return;
+    }
+    entry.category = category ? category.slug : '';
+    input.value = category ? category.name : '';
+    renderCategories();
+  }
+
+  function renderCategories() {
+    categoryOptions.innerHTML = galleryCategories.map((c) => '<option value="' + escapeHtml(c.name) + '">').join('');
+    categorySection.hidden = false;
+    categoryList.innerHTML = '';
+
+    if (galleryCategories.length === 0) {
+      categoryList.innerHTML = '<p class="admin-hint">No albums yet.</p>';
+      return;
+    }
+
+    galleryCategories.forEach((category, i) => {
+      const photos = galleryEntries.filter((e) => e.category === category.slug);
+      // A cover that left the album falls back to its first photo
+      if (category.cover && !photos.some((e) => e.image === category.cover)) delete category.cover;
+      const cover = photos.find((e) => e.image === category.cover) || photos[0];
+      const others = galleryCategories.filter((c) => c !== category);
+
+      const el = document.createElement('div');
+      el.className = 'admin-category-item';
+      el.innerHTML =
+        '<div class="admin-category-order">' +
+          '<button class="admin-icon-btn" data-move="-1" title="Move up"' + (i === 0 ? ' disabled' : '') + '>&uarr;</button>' +
+          '<button class="admin-icon-btn" data-move="1" title="Move down"' + (i === galleryCategories.length - 1 ? ' disabled' : '') + '>&darr;</button>' +
+        '</div>' +
+        (cover ? thumbHtml(cover) : '<span class="admin-gallery-thumb"></span>') +
+        '<div class="admin-gallery-fields">' +
+          '<input type="text" class="admin-input admin-input-sm" value="' + escapeHtml(category.name) + '" aria-label="Album name">' +
+          '<span class="admin-gallery-meta">/gallery/' + escapeHtml(category.slug) + '/ · ' +
+            photos.length + ' photo' + (photos.length === 1 ? '' : 's') + '</span>' +
+        '</div>' +
+        '<div class="admin-category-controls">' +
+          '<select class="admin-input admin-input-sm" data-select="cover" title="Cover image"' + (photos.length > 0 ? '' : ' disabled') + '>' +
+            '<option value="">Cover: first photo</option>' +
+            photos.map((e) => '<option value="' + escapeHtml(e.image) + '"' + (e.image === category.cover ? ' selected' : '') + '>' +
+              'Cover: ' + escapeHtml(e.caption || e.image) + '</option>').join('') +
+          '</select>' +
+          '<select class="admin-input admin-input-sm" data-select="merge" title="Move every photo into another album"' + (others.length > 0 ? '' : ' disabled') + '>' +
+            '<option value="">Merge into…</option>' +
+            others.map((c) => '<option value="' + escapeHtml(c.slug) + '">' + escapeHtml(c.name) + '</option>').join('') +
+          '</select>' +
+        '</div>' +
+        '<button class="admin-delete-btn" title="' + (photos.length > 0 ? 'Merge it into another album or empty it first' : 'Delete album') + '"' +
+          (photos.length > 0 ? ' disabled' : '') + '>&times;</button>';
+
+      el.querySelectorAll('[data-move]').forEach((btn) => {
+        btn.addEventListener('click', () => {
+          const to = i + Number(btn.getAttribute('data-move'));
+          galleryCategories.splice(to, 0, galleryCategories.splice(i, 1)[0]);
+          renderCategories();
+        });
+      });
+
+      const nameInput = el.querySelector('input');
+      nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        const clash = findCategory(name);
+        if (!name || (clash && clash !== category)) {
+          showToast(name ? 'There is already an album called “' + name + '”' : 'Albums need a name', 'error');
+          nameInput.value = category.name;
+          return;
+        }
+        category.name = name;
+        renderGalleryEditor();
+      });
+
+      el.querySelector('[data-select="cover"]').addEventListener('change', (e) => {
+        if (e.target.value) category.cover = e.target.value;
+        else delete category.cover;
+        renderCategories();
+      });
+
+      el.querySelector('[data-select="merge"]').addEventListener('change', (e) => {
+        const target = galleryCategories.find((c) => c.slug === e.target.value);
+        if (!target) return;
+        if (!confirm('Move ' + photos.length + ' photo' + (photos.length === 1 ? '' : 's') + ' from “' + category.name +
+            '” into “' + target.name + '” and delete “' + category.name + '”?')) {
+          e.target.value = '';
+          return;
+        }
+        photos.forEach((entry) => { entry.category = target.slug; });
+        galleryCategories.splice(i, 1);
+        renderGalleryEditor();
+      });
+
+      el.querySelector('.admin-delete-btn').addEventListener('click', () => {
+        galleryCategories.splice(i, 1);
+        renderCategories();
+      });
+
+      categoryList.appendChild(el);
+    });
+  }
+
+  // Album front matter only names the category; the album layout renders it
+  function albumPage(category) {
+    return '---\ncategory: ' + category.slug + '\ntitle: ' + yamlQuote(category.name) + '\n---\n';
+  }
+
+  function addCategoryChanges(changeset) {
+    if (JSON.stringify(galleryCategories) === JSON.stringify(categoriesBase)) return;
+
+    const list = { path: CATEGORIES_PATH, content: dataToYaml(galleryCategories), encoding: 'utf-8', sha: categoriesSha };
+    (categoriesSha ? changeset.modify : changeset.add).push(list);
+
+    const before = new Map(categoriesBase.map((c) => [c.slug, c]));
+    galleryCategories.forEach((category) => {
+      const page = { path: ALBUMS_DIR + category.slug + '.md', content: albumPage(category), encoding: 'utf-8' };
+      if (!before.has(category.slug)) changeset.add.push(page);
+      else if (before.get(category.slug).name !== category.name) changeset.modify.push(page);
+    });
+    categoriesBase
+      .filter((c) => !galleryCategories.some((other) => other.slug === c.slug))
+      .forEach((c) => changeset.delete.push(ALBUMS_DIR + c.slug + '.md'));
+  }
+
+  // ── Unassigned Images ──────────────────────────────────────────────────
+  function renderUnassigned() {
+    const assignedNames = new Set(galleryEntries.map((e) => e.image));
+    const repoNames = new Set(repoImages.map((img) => img.name));
+    const staged = Object.keys(stagedImages)
+      .filter((name) => !repoNames.has(name))
+      .map((name) => ({ name }));
+    const unassigned = repoImages.concat(staged)
+      .filter((img) => !assignedNames.has(img.name) && img.name !== '.gitkeep' && !isVariant(img.name));
+
+    updateGalleryActions();
+
+    if (unassigned.length === 0 && orphanedImages().length === 0) {
+      unassignedSection.hidden = true;
+      return;
+    }
+
+    unassignedSection.hidden = false;
+    unassignedList.innerHTML = '';
+
+    unassigned.forEach((img) => {
+      const imgUrl = getImageUrl(img.name);
+      const isStaged = img.name in stagedImages;
+      const el = document.createElement('div');
+      el.className = 'admin-unassigned-item';
+      el.innerHTML =
+        '<img src="' + escapeHtml(imgUrl) + '" alt="" class="admin-gallery-thumb">' +
+        '<span class="admin-unassigned-name">' + escapeHtml(img.name) +
+          (isStaged ? ' <span class="admin-badge">not yet published</span>' : '') + '</span>' +
+        (isStaged && !repoNames.has(img.name) ? '<button class="btn btn-outline admin-add-btn admin-discard-btn">Discard</button>' : '') +
+        (repoNames.has(img.name) ? '<button class="btn btn-outline admin-add-btn admin-delete-file-btn">Delete</button>' : '') +
+        '<button class="btn btn-outline admin-add-btn admin-assign-btn">Add to Gallery</button>';
+
+      el.querySelector('.admin-assign-btn').addEventListener('click', () => {
+        const entry = { image: img.name, caption: '', category: '' };
+        const widths = imageWidths(img.name);
+        if (widths.length > 0) entry.widths = widths;
+        if (stagedImages[img.name]) Object.assign(entry, stagedImages[img.name].data);
+        galleryEntries.push(entry);
+        renderGalleryEditor();
+        renderUnassigned();
+      });
+
+      const deleteBtn = el.querySelector('.admin-delete-file-btn');
+      if (deleteBtn && isShown(img.name)) {
+        // Removed from the gallery here, but the published one still shows it
+        deleteBtn.disabled = true;
+        deleteBtn.title = 'Publish the gallery first: the live site still shows this image';
+      } else if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+          if (confirm('Delete ' + img.name + ' from the repository?')) deleteImages([img.name], deleteBtn);
+        });
+      }
+
+      const discardBtn = el.querySelector('.admin-discard-btn');
+      if (discardBtn) {
+        discardBtn.addEventListener('click', () => {
+          delete stagedImages[img.name];
+          renderUnassigned();
+        });
+      }
+
+      unassignedList.appendChild(el);
+    });
+  }
+
+  function updateGalleryActions() {
+    galleryActions.hidden = galleryEntries.length === 0 && Object.keys(stagedImages).length === 0;
+  }
+
+  function getImageUrl(filename) {
+    // Prefer blob URL for just-uploaded images not yet deployed
+    if (uploadedBlobs[filename]) return uploadedBlobs[filename];
+    // Fall back to the deployed site path
+    return '/assets/images/gallery/' + filename;
+  }
+
+  // ── Deleting Images ────────────────────────────────────────────────────
+  // Deletes go through /delete-image, which also removes the WebP
+  // derivatives and refuses images the live gallery.yml still shows.
+  // Images are protected while either the published gallery or the one
+  // being edited shows them.
+  cleanupBtn.addEventListener('click', openCleanup);
+  cleanupCancelBtn.addEventListener('click', closeCleanup);
+  cleanupDeleteBtn.addEventListener('click', async () => {
+    const names = Array.from(cleanupList.querySelectorAll('input:checked')).map((input) => input.value);
+    if (names.length === 0) return;
+    if (!confirm('Delete ' + names.length + ' image' + (names.length === 1 ? '' : 's') + ' from the repository?')) return;
+    if (await deleteImages(names, cleanupDeleteBtn)) closeCleanup();
+  });
+
+  function isShown(name) {
+    return galleryEntries.concat(galleryBase).some((entry) => entry.image === name || isVariantOf(name, entry.image));
+  }
+
+  function isVariantOf(name, image) {
+    const base = image.replace(/\.[^.]+$/, '');
+    return name.startsWith(base + '-') && /^-\d+w\.webp$/.test(name.slice(base.length));
+  }
+
+  // Every file in the image folder that no gallery entry shows, grouped
+  // with the derivatives that go with it
+  function orphanedImages() {
+    const unshown = repoImages.filter((img) => img.name !== '.gitkeep' && !isShown(img.name));
+    const images = unshown.filter((img) => !isVariant(img.name));
+    const groups = images.map((img) => ({
+      ...img,
+      derivatives: unshown.filter((other) => isVariantOf(other.name, img.name)),
+    }));
+    // Derivatives whose image is already gone are orphans of their own
+    unshown
+      .filter((img) => isVariant(img.name) && !groups.some((g) => g.derivatives.includes(img)))
+      .forEach((img) => groups.push({ ...img, derivatives: [] }));
+    return groups;
+  }
+
+  async function deleteImages(names, btn) {
+    const files = names.map((name) => ({ filename: name, sha: repoImages.find((img) => img.name === name).sha }));
+    const label = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = 'Deleting…';
+
+    try {
+      const res = await apiRequest('/delete-image', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ files }),
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        showToast(data.error || 'Delete failed', 'error');
+        // Someone else changed the folder meanwhile; show what is there now
+        if (res.status === 409) {
+          await loadRepoImages();
+          renderUnassigned();
+        }
+        return false;
+      }
+
+      repoImages = repoImages.filter((img) => !data.deleted.includes(img.name));
+      renderUnassigned();
+      showToast('Deleted ' + names.length + ' image' + (names.length === 1 ? '' : 's') + '. Site will redeploy in ~60 seconds.');
+      return true;
+    } catch (err) {
+      showToast('Delete failed: ' + err.message, 'error');
+      return false;
+    } finally {
+      btn.disabled = false;
+      btn.textContent = label;
+    }
+  }
+
+  function openCleanup() {
+    const orphans = orphanedImages();
+    const total = orphans.reduce((sum, img) => sum + img.size + img.derivatives.reduce((s, d) => s + d.size, 0), 0);
+
+    cleanupList.innerHTML = orphans.length === 0
+      ? '<p class="admin-hint">No orphaned images — every file is shown in the gallery.</p>'
+      : '<p class="admin-hint">' + orphans.length + ' image' + (orphans.length === 1 ? '' : 's') +
+          ' not shown in the gallery, ' + formatBytes(total) + ' in total.</p>';
+
+    orphans.forEach((img) => {
+      const size = img.size + img.derivatives.reduce((sum, d) => sum + d.size, 0);
+      const el = document.createElement('label');
+      el.className = 'admin-cleanup-item';
+      el.innerHTML =
+        '<input type="checkbox" value="' + escapeHtml(img.name) + '" checked>' +
+        '<img src="' + escapeHtml(getImageUrl(img.name)) + '" alt="" class="admin-gallery-thumb" loading="lazy">' +
+        '<span class="admin-unassigned-name">' + escapeHtml(img.name) +
+          (img.derivatives.length > 0 ? ' + ' + img.derivatives.length + ' WebP' : '') + '</span>' +
+        '<span class="admin-cleanup-size">' + formatBytes(size) + '</span>';
+      cleanupList.appendChild(el);
+    });
+
+    cleanupDeleteBtn.hidden = orphans.length === 0;
+    cleanupModal.hidden = false;
+    document.body.style.overflow = 'hidden';
+  }
+
+  function closeCleanup() {
+    cleanupModal.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  }
+
+  // ── Preview ────────────────────────────────────────────────────────────
+  previewBtn.addEventListener('click', () => {
+    previewContent.innerHTML = '';
+
+    if (galleryEntries.length === 0) {
+      previewContent.innerHTML = '<p class="gallery-empty">No items to preview.</p>';
+    } else {
+      const grid = document.createElement('div');
+      grid.className = 'gallery-grid';
+
+      galleryEntries.forEach((entry) => {
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+        item.innerHTML =
+          pictureHtml(entry) +
+          (entry.caption || entry.taken
+            ? '<div class="gallery-caption">' +
+                (entry.caption ? '<p>' + escapeHtml(entry.caption) + '</p>' : '') +
+                (entry.taken ? '<time datetime="' + escapeHtml(entry.taken) + '">' +
+                  escapeHtml(new Date(entry.taken).toLocaleDateString('en', { year: 'numeric', month: 'long' })) + '</time>' : '') +
+              '</div>'
+            : '');
+        grid.appendChild(item);
+      });
+
+      previewContent.appendChild(grid);
+    }
+
+    previewModal.hidden = false;
+    document.body.style.overflow = 'hidden';
+  });
+
+  closePreviewBtn.addEventListener('click', closePreview);
+  previewModal.addEventListener('click', (e) => {
+    if (e.target === previewModal) closePreview();
+  });
+
+  // Same markup as _includes/gallery-item.html: a frame showing the placeholder, holding
+  // the WebP derivatives and the fallback image
+  function pictureHtml(entry) {
+    const size = entry.width && entry.height ? ' width="' + entry.width + '" height="' + entry.height + '"' : '';
+    const focus = entry.focus ? ' style="object-position: ' + escapeHtml(entry.focus) + '"' : '';
+    const img = '<img src="' + escapeHtml(getImageUrl(entry.image)) + '" alt="' + escapeHtml(entry.caption || '') + '"' + size + focus + ' class="gallery-img">';
+    const srcset = (entry.widths || []).map((w) => getImageUrl(variantName(entry.image, w)) + ' ' + w + 'w').join(', ');
+    const source = srcset ? '<source type="image/webp" srcset="' + escapeHtml(srcset) + '" sizes="' + GALLERY_SIZES + '">' : '';
+    const frameStyle = entry.placeholder ? ' style="background-image: url(\'' + escapeHtml(entry.placeholder) + '\')"' : '';
+    return '<div class="gallery-frame"' + frameStyle + '><picture>' + source + img + '</picture></div>';
+  }
+
+  function closePreview() {
+    previewModal.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !previewModal.hidden) closePreview();
+    if (e.key === 'Escape' && !mergeModal.hidden) closeMerge();
+    if (e.key === 'Escape' && !cleanupModal.hidden) closeCleanup();
+    if (e.key === 'Escape' && imageEditor) closeEditor(null);
+  });
+
+  // ── Image Data Backfill ────────────────────────────────────────────────
+  // Entries published before dimensions and placeholders were recorded get
+  // them from the deployed images; they are saved with the next publish.
+  backfillBtn.addEventListener('click', backfillImageData);
+
+  async function backfillImageData() {
+    const missing = galleryEntries.filter((entry) => !entry.width || !entry.height || !entry.placeholder);
+    if (missing.length === 0) {
+      showToast('Every image already has its dimensions and placeholder');
+      return;
+    }
+
+    const label = backfillBtn.textContent;
+    backfillBtn.disabled = true;
+    let failed = 0;
+
+    for (let i = 0; i < missing.length; i++) {
+      backfillBtn.textContent = 'Reading ' + (i + 1) + ' of ' + missing.length + '…';
+      try {
+        const img = await loadImageUrl(getImageUrl(missing[i].image));
+        missing[i].width = img.width;
+        missing[i].height = img.height;
+        missing[i].placeholder = await placeholderFor(img);
+      } catch (err) {
+        failed++;
+      }
+    }
+
+    backfillBtn.disabled = false;
+    backfillBtn.textContent = label;
+    renderGalleryEditor();
+
+    const filled = missing.length - failed;
+    if (filled > 0) showToast('Filled in ' + filled + ' image' + (filled === 1 ? '' : 's') + ' — publish to save');
+    if (failed > 0) showToast(failed + ' image' + (failed === 1 ? '' : 's') + ' could not be loaded', 'error');
+  }
+
+  // ── Publish ────────────────────────────────────────────────────────────
+  // Staged images and gallery.yml land together as a single commit.
+  saveBtn.addEventListener('click', publishGallery);
+
+  async function publishGallery() {
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Publishing…';
+
+    try {
+      const changeset = buildGalleryChangeset();
+      const res = await apiRequest('/commit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changeset),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        gallerySha = data.files[GALLERY_PATH] || gallerySha;
+        galleryBase = cloneEntries(galleryEntries);
+        categoriesSha = data.files[CATEGORIES_PATH] || categoriesSha;
+        categoriesBase = cloneEntries(galleryCategories);
+        stagedImages = {};
+        await loadRepoImages();
+        renderUnassigned();
+        showToast('Published! Site will redeploy in ~60 seconds.');
+      } else if (res.status === 409 && data.code === 'conflict' && data.path === GALLERY_PATH) {
+        openMerge(data);
+      } else if (!showRejectedUploads(data)) {
+        showToast(data.error || 'Publish failed', 'error');
+      }
+    } catch (err) {
+      showToast('Publish failed: ' + err.message, 'error');
+    } finally {
+      saveBtn.disabled = false;
+      saveBtn.textContent = 'Publish Changes';
+    }
+  }
+
+  function buildGalleryChangeset() {
+    const changeset = { message: 'Update gallery', add: [], modify: [], delete: [] };
+    const stagedNames = Object.keys(stagedImages);
+
+    stagedNames.forEach((name) => {
+      const staged = stagedImages[name];
+      Object.keys(staged.files).forEach((file) => {
+        const change = { path: IMAGE_DIR + file, blob: staged.files[file].blob, receipt: staged.files[file].receipt };
+        // The worker refuses to add over an existing file; replacing is explicit
+        const existing = staged.replace && repoImages.find((img) => img.name === file);
+        if (existing) changeset.modify.push({ ...change, sha: existing.sha });
+        else changeset.add.push(change);
+      });
+      // Derivatives of a replaced image that the new one does not have
+      if (staged.replace) {
+        repoImages
+          .filter((img) => isVariantOf(img.name, name) && !(img.name in staged.files))
+          .forEach((img) => changeset.delete.push({ path: IMAGE_DIR + img.name, sha: img.sha }));
+      }
+    });
+
+    // Uploaders may only add images; the gallery itself is left to editors
+    if (hasRole('editor')) {
+      const yamlFile = { path: GALLERY_PATH, content: galleryToYaml(galleryEntries), encoding: 'utf-8', sha: gallerySha };
+      (gallerySha ? changeset.modify : changeset.add).push(yamlFile);
+      addCategoryChanges(changeset);
+    }
+
+    if (stagedNames.length > 0) {
+      changeset.message = 'Update gallery: add ' + stagedNames.length + ' image' + (stagedNames.length === 1 ? '' : 's');
+    }
+    return changeset;
+  }
+
+  draftBtn.addEventListener('click', () => saveDraft(buildGalleryChangeset(), draftBtn));
+
+  function galleryToYaml(entries) {
+    if (entries.length === 0) return '# Gallery is empty\n';
+    return dataToYaml(entries);
+  }
+
+  // ── Conflict Merge ─────────────────────────────────────────────────────
+  // Three-way merge of gallery entries, keyed by image filename, between the
+  // version the editor loaded (base), the local edits (mine) and what is on
+  // the server now (theirs). Non-overlapping changes merge automatically;
+  // the rest become conflicts the editor resolves in the merge dialog.
+  let pendingMerge = null;
+
+  function mergeGallery(base, mine, theirs) {
+    const B = entriesByImage(base);
+    const M = entriesByImage(mine);
+    const T = entriesByImage(theirs);
+    const merged = new Map();
+    const conflicts = [];
+
+    new Set([...M.keys(), ...T.keys(), ...B.keys()]).forEach((image) => {
+      const b = B.get(image);
+      const m = M.get(image);
+      const t = T.get(image);
+
+      if (!m && !t) return; // removed on both sides
+
+      if (!b && m && t) {
+        // Added on both sides
+        mergeEntryFields(image, {}, m, t, merged, conflicts);
+      } else if (!b) {
+        merged.set(image, m || t);
+      } else if (!m || !t) {
+        // Removed on one side: fine unless the other side edited the entry
+        const kept = m || t;
+        if (!sameEntry(kept, b)) {
+          conflicts.push({ type: 'removed', image, mine: m || null, theirs: t || null, choice: 'mine' });
+        }
+      } else {
+        mergeEntryFields(image, b, m, t, merged, conflicts);
+      }
+    });
+
+    const common = (list) => list.map((e) => e.image).filter((img) => B.has(img) && M.has(img) && T.has(img)).join('\n');
+    const mineMoved = common(mine) !== common(base);
+    const theirsMoved = common(theirs) !== common(base);
+    if (mineMoved && theirsMoved && common(mine) !== common(theirs)) {
+      conflicts.push({ type: 'order', choice: 'mine' });
+    }
+
+    return { base, mine, theirs, merged, conflicts, primary: theirsMoved && !mineMoved ? 'theirs' : 'mine' };
+  }
+
+  function mergeEntryFields(image, b, m, t, merged, conflicts) {
+    const result = Object.assign({}, m);
+    copyYamlComments(m, result);
+    Object.keys(Object.assign({}, b, m, t)).forEach((field) => {
+      if (sameValue(m[field], t[field]) || sameValue(t[field], b[field])) return;
+      if (sameValue(m[field], b[field])) {
+        result[field] = t[field];
+      } else {
+        conflicts.push({ type: 'field', image, field, mine: m[field], theirs: t[field], choice: 'mine' });
+      }
+    });
+    merged.set(image, result);
+  }
+
+  // Applies the editor's conflict choices and returns the merged entry list
+  function resolveMerge(merge) {
+    const merged = new Map(merge.merged);
+    let primary = merge.primary;
+
+    merge.conflicts.forEach((c) => {
+      const pick = c.choice === 'mine' ? c.mine : c.theirs;
+      if (c.type === 'field') {
+        merged.get(c.image)[c.field] = pick;
+      } else if (c.type === 'removed' && pick) {
+        merged.set(c.image, pick);
+      } else if (c.type === 'order') {
+        primary = c.choice;
+      }
+    });
+
+    const first = (primary === 'mine' ? merge.mine : merge.theirs).map((e) => e.image);
+    const second = (primary === 'mine' ? merge.theirs : merge.mine).map((e) => e.image);
+    const order = first.filter((img) => merged.has(img));
+    // Entries only the other side has go right after their predecessor there
+    second.forEach((img, i) => {
+      if (!merged.has(img) || order.includes(img)) return;
+      let j = i - 1;
+      while (j >= 0 && !order.includes(second[j])) j--;
+      order.splice(j < 0 ? 0 : order.indexOf(second[j]) + 1, 0, img);
+    });
+    return order.map((img) => merged.get(img));
+  }
+
+  // Entry-level changes from one version of the gallery to another
+  function diffGallery(from, to) {
+    const A = entriesByImage(from);
+    const B = entriesByImage(to);
+    const changes = [];
+
+    from.forEach((e) => {
+      if (!B.has(e.image)) changes.push({ type: 'removed', image: e.image });
+    });
+    to.forEach((e) => {
+      const prev = A.get(e.image);
+      if (!prev) {
+        changes.push({ type: 'added', image: e.image });
+        return;
+      }
+      Object.keys(Object.assign({}, prev, e)).forEach((field) => {
+        if (!sameValue(prev[field], e[field])) {
+          changes.push({ type: 'changed', image: e.image, field, from: prev[field], to: e[field] });
+        }
+      });
+    });
+
+    // Entries outside the longest common subsequence of the order were moved
+    const a = from.map((e) => e.image).filter((img) => B.has(img));
+    const b = to.map((e) => e.image).filter((img) => A.has(img));
+    const stay = longestCommonSubsequence(a, b);
+    b.forEach((img) => {
+      if (!stay.has(img)) changes.push({ type: 'moved', image: img });
+    });
+    return changes;
+  }
+
+  function longestCommonSubsequence(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    const result = new Set();
+    for (let i = 0, j = 0; i < a.length && j < b.length;) {
+      if (a[i] === b[j]) { result.add(a[i]); i++; j++; } else if (dp[i + 1][j] >= dp[i][j + 1]) i++; else j++;
+    }
+    return result;
+  }
+
+  function describeChange(c) {
+    if (c.type === 'added') return 'Added ' + c.image;
+    if (c.type === 'removed') return 'Removed ' + c.image;
+    if (c.type === 'moved') return 'Moved ' + c.image;
+    return c.image + ': ' + c.field + ' ' + formatValue(c.from) + ' → ' + formatValue(c.to);
+  }
+
+  function renderDiffList(changes) {
+    if (changes.length === 0) return '<p class="admin-hint">No changes.</p>';
+    return '<ul class="admin-diff-list">' + changes.map((c) =>
+      '<li class="admin-diff-' + c.type + '">' + escapeHtml(describeChange(c)) + '</li>').join('') + '</ul>';
+  }
+
+  function formatValue(value) {
+    return value == null || value === '' ? '(empty)' : '“' + String(value) + '”';
+  }
+
+  function openMerge(conflict) {
+    const theirs = conflict.entries || [];
+    attachYamlComments(theirs, conflict.comments);
+    pendingMerge = mergeGallery(galleryBase, galleryEntries, theirs);
+    pendingMerge.sha = conflict.sha || null;
+    renderMerge();
+    mergeModal.hidden = false;
+    document.body.style.overflow = 'hidden';
+  }
+
+  function renderMerge() {
+    const merge = pendingMerge;
+    const list = renderDiffList;
+
+    mergeContent.innerHTML =
+      '<p class="admin-hint">Someone published gallery.yml after you loaded it. ' +
+        'Changes that do not overlap have been merged; choose a side for the rest.</p>' +
+      '<div class="admin-merge-columns">' +
+        '<div><h3 class="admin-subtitle">Your changes</h3>' + list(diffGallery(merge.base, merge.mine)) + '</div>' +
+        '<div><h3 class="admin-subtitle">Their changes</h3>' + list(diffGallery(merge.base, merge.theirs)) + '</div>' +
+      '</div>' +
+      '<h3 class="admin-subtitle">Conflicts (' + merge.conflicts.length + ')</h3>' +
+      (merge.conflicts.length === 0 ? '<p class="admin-hint">None — everything merged automatically.</p>' : '') +
+      '<div class="admin-merge-conflicts"></div>';
+
+    const container = mergeContent.querySelector('.admin-merge-conflicts');
+    merge.conflicts.forEach((c, i) => {
+      const el = document.createElement('fieldset');
+      el.className = 'admin-merge-conflict';
+      el.innerHTML =
+        '<legend>' + escapeHtml(conflictTitle(c)) + '</legend>' +
+        ['mine', 'theirs'].map((side) =>
+          '<label class="admin-field-check"><input type="radio" name="merge-' + i + '" value="' + side + '"' +
+            (c.choice === side ? ' checked' : '') + '> ' +
+            escapeHtml((side === 'mine' ? 'Mine: ' : 'Theirs: ') + conflictOption(c, side)) + '</label>'
+        ).join('');
+      el.querySelectorAll('input').forEach((radio) => {
+        radio.addEventListener('change', () => { c.choice = radio.value; });
+      });
+      container.appendChild(el);
+    });
+  }
+
+  function conflictTitle(c) {
+    if (c.type === 'order') return 'Both sides reordered the gallery';
+    if (c.type === 'removed') return c.image + ' was removed on one side and edited on the other';
+    return c.image + ': ' + c.field + ' changed on both sides';
+  }
+
+  function conflictOption(c, side) {
+    if (c.type === 'order') return side === 'mine' ? 'keep my order' : 'keep their order';
+    const value = c[side];
+    if (c.type === 'removed') return value ? 'keep the entry' : 'remove it';
+    return formatValue(value);
+  }
+
+  function closeMerge() {
+    mergeModal.hidden = true;
+    document.body.style.overflow = '';
+    pendingMerge = null;
+  }
+
+  mergeCancelBtn.addEventListener('click', closeMerge);
+
+  mergeApplyBtn.addEventListener('click', () => {
+    const merge = pendingMerge;
+    const entries = resolveMerge(merge);
+    copyYamlComments(merge.theirs, entries);
+    galleryEntries = entries;
+    galleryBase = cloneEntries(merge.theirs);
+    gallerySha = merge.sha;
+    closeMerge();
+    renderGalleryEditor();
+    renderUnassigned();
+    publishGallery();
+  });
+
+  function entriesByImage(entries) {
+    return new Map(entries.map((e) => [e.image, e]));
+  }
+
+  function sameEntry(a, b) {
+    return Object.keys(Object.assign({}, a, b)).every((field) => sameValue(a[field], b[field]));
+  }
+
+  // Missing, null and empty values are equivalent (the serializer drops them)
+  function sameValue(a, b) {
+    const norm = (v) => (v == null || v === '' ? '' : JSON.stringify(v));
+    return norm(a) === norm(b);
+  }
+
+  function cloneEntries(entries) {
+    return JSON.parse(JSON.stringify(entries));
+  }
+
+  // ── Site Data Editor ───────────────────────────────────────────────────
+  async function loadDataFile(name) {
+    const panel = document.getElementById('tab-' + name);
+    panel.innerHTML = '<div class="admin-loading">Loading ' + escapeHtml(DATA_SCHEMAS[name].label.toLowerCase()) + '&hellip;</div>';
+
+    try {
+      const res = await apiRequest('/data/' + name);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const body = await res.json();
+      const schema = DATA_SCHEMAS[name];
+      const empty = schema.type === 'list' ? [] : {};
+      dataFiles[name] = { data: body.data || empty, sha: body.sha || null };
+      attachYamlComments(dataFiles[name].data, body.comments);
+      renderDataTab(name);
+    } catch (err) {
+      panel.innerHTML = '<div class="admin-loading">Failed to load ' + escapeHtml(name) + '.yml.</div>';
+    }
+  }
+
+  function renderDataTab(name) {
+    const panel = document.getElementById('tab-' + name);
+    const schema = DATA_SCHEMAS[name];
+    panel.innerHTML = '';
+
+    const editor = document.createElement('div');
+    editor.className = 'admin-data-editor';
+    // The file itself is the holder of a root field keyed "data"
+    editor.appendChild(renderDataField(dataFiles[name], { ...schema, key: 'data', label: '' }, ''));
+    panel.appendChild(editor);
+
+    const errors = document.createElement('ul');
+    errors.className = 'admin-data-errors';
+    errors.hidden = true;
+    panel.appendChild(errors);
+
+    const actions = document.createElement('div');
+    actions.className = 'admin-actions';
+    actions.innerHTML =
+      '<button class="btn btn-outline">Save as Draft</button>' +
+      '<button class="btn btn-primary">Publish Changes</button>';
+    const [draftButton, publishButton] = actions.querySelectorAll('button');
+    draftButton.addEventListener('click', (e) => saveDataDraft(name, e.currentTarget));
+    publishButton.addEventListener('click', (e) => saveDataFile(name, e.currentTarget));
+    if (name === 'publications') {
+      const importButton = document.createElement('button');
+      importButton.className = 'btn btn-outline';
+      importButton.textContent = 'Import';
+      importButton.title = 'Add publications from BibTeX, RIS or CSL-JSON';
+      importButton.addEventListener('click', openImport);
+      actions.prepend(importButton);
+    }
+    panel.appendChild(actions);
+  }
+
+  function renderDataField(holder, field, path) {
+    const type = field.type || 'text';
+    if (type === 'list') return renderDataList(holder, field, path);
+    if (type === 'group') return renderDataGroup(holder, field, path);
+
+    const wrap = document.createElement('label');
+    wrap.className = 'admin-field' + (type === 'boolean' ? ' admin-field-check' : '');
+    const caption = document.createElement('span');
+    caption.className = 'admin-field-label';
+    caption.textContent = field.label + (field.required ? ' *' : '');
+
+    let input;
+    if (type === 'textarea') {
+      input = document.createElement('textarea');
+      input.rows = 3;
+    } else if (type === 'select') {
+      input = document.createElement('select');
+      input.innerHTML = '<option value="">—</option>' + field.options.map(([value, label]) =>
+        '<option value="' + escapeHtml(value) + '">' + escapeHtml(label) + '</option>').join('');
     } else {
-      const grid = document.createElement('div');
-      grid.className = 'gallery-grid';
+      input = document.createElement('input');
+      input.type = type === 'boolean' ? 'checkbox' : type === 'url' ? 'url' : 'text';
+      if (type === 'number') input.inputMode = 'numeric';
+    }
+    input.setAttribute('data-path', path);
+
+    if (type === 'boolean') {
+      input.checked = holder[field.key] === true;
+      input.addEventListener('change', () => {
+        if (input.checked) holder[field.key] = true;
+        else delete holder[field.key];
+      });
+      wrap.append(input, caption);
+      return wrap;
+    }
+
+    input.className = 'admin-input admin-input-sm';
+    input.value = holder[field.key] == null ? '' : String(holder[field.key]);
+    input.addEventListener(type === 'select' ? 'change' : 'input', () => {
+      // Whole numbers are stored as numbers so Liquid sorts them as such
+      const value = type === 'number' && /^\d+$/.test(input.value.trim()) ? Number(input.value.trim()) : input.value;
+      if (value === '' && type !== 'text' && type !== 'textarea') delete holder[field.key];
+      else holder[field.key] = value;
+      input.classList.remove('admin-input-invalid');
+    });
+    wrap.append(caption, input);
+    return wrap;
+  }
+
+  function renderDataGroup(holder, field, path) {
+    if (!holder[field.key] || typeof holder[field.key] !== 'object') holder[field.key] = {};
+    const group = holder[field.key];
+    const el = document.createElement('div');
+    el.className = 'admin-data-group';
+    if (field.label) {
+      const title = document.createElement('h3');
+      title.className = 'admin-subtitle';
+      title.textContent = field.label;
+      el.appendChild(title);
+    }
+    field.fields.forEach((sub) => {
+      el.appendChild(renderDataField(group, sub, joinPath(path, sub.key)));
+    });
+    return el;
+  }
+
+  function renderDataList(holder, field, path) {
+    if (!Array.isArray(holder[field.key])) holder[field.key] = [];
+    const list = holder[field.key];
+    const el = document.createElement('div');
+    el.className = 'admin-data-list' + (field.fields ? '' : ' admin-data-list--strings');
+
+    const rerender = () => el.replaceWith(renderDataList(holder, field, path));
+
+    if (field.label) {
+      const title = document.createElement(field.fields ? 'h3' : 'span');
+      title.className = field.fields ? 'admin-subtitle' : 'admin-field-label';
+      title.textContent = field.label;
+      el.appendChild(title);
+    }
+
+    list.forEach((item, i) => {
+      const itemPath = joinPath(path, i);
+      const row = document.createElement('div');
+      row.className = field.fields ? 'admin-data-item' : 'admin-data-row';
+
+      const controls = document.createElement('div');
+      controls.className = 'admin-data-controls';
+      controls.innerHTML =
+        '<button type="button" class="admin-icon-btn" data-move="-1" title="Move up"' + (i === 0 ? ' disabled' : '') + '>&uarr;</button>' +
+        '<button type="button" class="admin-icon-btn" data-move="1" title="Move down"' + (i === list.length - 1 ? ' disabled' : '') + '>&darr;</button>' +
+        '<button type="button" class="admin-icon-btn admin-icon-btn--danger" data-remove title="Remove">&times;</button>';
+      controls.querySelectorAll('[data-move]').forEach((btn) => {
+        btn.addEventListener('click', () => {
+          const to = i + Number(btn.getAttribute('data-move'));
+          list.splice(to, 0, list.splice(i, 1)[0]);
+          rerender();
+        });
+      });
+      controls.querySelector('[data-remove]').addEventListener('click', () => {
+        list.splice(i, 1);
+        rerender();
+      });
+
+      if (field.fields) {
+        const header = document.createElement('div');
+        header.className = 'admin-data-item-header';
+        const summary = document.createElement('span');
+        summary.className = 'admin-data-item-title';
+        summary.textContent = field.itemLabel + ' ' + (i + 1);
+        header.append(summary, controls);
+        row.appendChild(header);
+        field.fields.forEach((sub) => {
+          row.appendChild(renderDataField(item, sub, joinPath(itemPath, sub.key)));
+        });
+      } else {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'admin-input admin-input-sm';
+        input.value = item == null ? '' : String(item);
+        input.setAttribute('data-path', itemPath);
+        input.addEventListener('input', () => { list[i] = input.value; });
+        row.append(input, controls);
+      }
+      el.appendChild(row);
+    });
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-outline admin-add-btn';
+    addBtn.textContent = '+ Add ' + field.itemLabel.toLowerCase();
+    addBtn.addEventListener('click', () => {
+      list.push(field.fields ? {} : '');
+      rerender();
+    });
+    el.appendChild(addBtn);
+    return el;
+  }
+
+  function joinPath(path, key) {
+    return path === '' ? String(key) : path + '.' + key;
+  }
+
+  function validateDataField(value, field, path, trail, errors) {
+    const type = field.type || 'text';
+
+    if (type === 'group') {
+      field.fields.forEach((sub) => {
+        validateDataField((value || {})[sub.key], sub, joinPath(path, sub.key), trail.concat(sub.label), errors);
+      });
+      return;
+    }
+
+    if (type === 'list') {
+      (value || []).forEach((item, i) => {
+        const itemTrail = trail.concat(field.itemLabel + ' ' + (i + 1));
+        if (!field.fields) return;
+        field.fields.forEach((sub) => {
+          validateDataField((item || {})[sub.key], sub, joinPath(joinPath(path, i), sub.key), itemTrail.concat(sub.label), errors);
+        });
+      });
+      return;
+    }
+
+    const text = value == null ? '' : String(value).trim();
+    if (field.required && !text) {
+      errors.push({ path, message: trail.join(' › ') + ' is required' });
+    } else if (type === 'url' && text && !isValidUrl(text)) {
+      errors.push({ path, message: trail.join(' › ') + ' must be an http(s) URL' });
+    } else if (type === 'number' && text && !/^\d+$/.test(text)) {
+      errors.push({ path, message: trail.join(' › ') + ' must be a whole number' });
+    } else if (field.pattern && text && !field.pattern.test(text)) {
+      errors.push({ path, message: trail.join(' › ') + ' is not in the expected format' });
+    }
+  }
+
+  function isValidUrl(str) {
+    try {
+      const url = new URL(str);
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+      return false;
+    }
+  }
+
+  // Highlights invalid fields and lists their messages; true when clean
+  function checkDataFile(name) {
+    const panel = document.getElementById('tab-' + name);
+    const schema = DATA_SCHEMAS[name];
+    const file = dataFiles[name];
+    const errorList = panel.querySelector('.admin-data-errors');
+
+    const errors = [];
+    validateDataField(file.data, schema, '', [schema.label], errors);
+    panel.querySelectorAll('.admin-input-invalid').forEach((el) => el.classList.remove('admin-input-invalid'));
+    errorList.innerHTML = '';
+    errorList.hidden = errors.length === 0;
+    if (errors.length > 0) {
+      errors.forEach((err) => {
+        const input = panel.querySelector('[data-path="' + err.path + '"]');
+        if (input) input.classList.add('admin-input-invalid');
+        const li = document.createElement('li');
+        li.textContent = err.message;
+        errorList.appendChild(li);
+      });
+      showToast('Please fix ' + errors.length + ' field' + (errors.length === 1 ? '' : 's') + ' first', 'error');
+    }
+    return errors.length === 0;
+  }
+
+  async function saveDataFile(name, btn) {
+    const file = dataFiles[name];
+    if (!checkDataFile(name)) return;
+
+    btn.disabled = true;
+    btn.textContent = 'Publishing…';
+
+    try {
+      const res = await apiRequest('/data/' + name, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: dataToYaml(file.data), sha: file.sha }),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        file.sha = data.sha;
+        showToast('Published! Site will redeploy in ~60 seconds.');
+      } else if (data.code === 'conflict') {
+        await resolveDataConflict(name, data, btn);
+      } else {
+        showToast(data.error || 'Publish failed', 'error');
+      }
+    } catch (err) {
+      showToast('Publish failed: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Publish Changes';
+    }
+  }
+
+  // Someone published the file since it was loaded: overwrite their version,
+  // or load it in place of the edits here. Neither leaves the form as is.
+  async function resolveDataConflict(name, conflict, btn) {
+    const file = dataFiles[name];
+    if (confirm(conflict.error + ' since you loaded it.\n\nOverwrite their version with yours?')) {
+      file.sha = conflict.sha;
+      await saveDataFile(name, btn);
+    } else if (confirm('Load their version instead? Your unpublished edits here will be discarded.')) {
+      const schema = DATA_SCHEMAS[name];
+      dataFiles[name] = { data: conflict.data || (schema.type === 'list' ? [] : {}), sha: conflict.sha };
+      attachYamlComments(dataFiles[name].data, conflict.comments);
+      renderDataTab(name);
+      showToast('Loaded the latest ' + name + '.yml');
+    } else {
+      showToast(conflict.error + '. Publish again to choose what to keep.', 'error');
+    }
+  }
+
+  function saveDataDraft(name, btn) {
+    if (!checkDataFile(name)) return;
+    const file = { path: '_data/' + name + '.yml', content: dataToYaml(dataFiles[name].data), encoding: 'utf-8' };
+    const changeset = { message: 'Update ' + name + ' data', add: [], modify: [], delete: [] };
+    (dataFiles[name].sha ? changeset.modify : changeset.add).push(file);
+    saveDraft(changeset, btn);
+  }
+
+  // ── Publication Import ─────────────────────────────────────────────────
+  // Pasted or chosen BibTeX, RIS or CSL-JSON is parsed right here into
+  // publications.yml entries. Entries whose DOI or title is already listed,
+  // or comes up twice in the import, are offered unticked.
+  let importEntries = [];
+
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    if (!file) return;
+    importText.value = await file.text();
+    importFileInput.value = '';
+    readImport();
+  });
+  importReadBtn.addEventListener('click', readImport);
+  importCancelBtn.addEventListener('click', closeImport);
+  importAddBtn.addEventListener('click', () => {
+    const picked = Array.from(importList.querySelectorAll('input:checked'))
+      .map((input) => importEntries[Number(input.value)].entry);
+    if (picked.length === 0) return;
+    dataFiles.publications.data.unshift(...picked);
+    closeImport();
+    renderDataTab('publications');
+    showToast('Added ' + picked.length + ' publication' + (picked.length === 1 ? '' : 's') + ' — pick a section for each, then publish');
+  });
+
+  function openImport() {
+    importText.value = '';
+    importList.innerHTML = '';
+    importAddBtn.hidden = true;
+    importModal.hidden = false;
+    document.body.style.overflow = 'hidden';
+    importText.focus();
+  }
+
+  function closeImport() {
+    importModal.hidden = true;
+    document.body.style.overflow = '';
+    importEntries = [];
+  }
+
+  function readImport() {
+    let records;
+    try {
+      records = parseCitations(importText.value);
+    } catch (err) {
+      importList.innerHTML = '<p class="admin-hint">' + escapeHtml(err.message) + '</p>';
+      importAddBtn.hidden = true;
+      return;
+    }
+
+    const existing = dataFiles.publications.data;
+    // Whoever is marked as "me" in the list so far is marked in the import too
+    const selfNames = new Set(existing.flatMap((pub) => (pub.authors || []).filter((a) => a.self).map((a) => authorKey(a.name))));
+    const known = existing.slice();
+    importEntries = records.filter((record) => record.title).map((record) => {
+      const entry = toPublication(record, selfNames);
+      const duplicate = known.some((pub) => samePublication(pub, entry));
+      known.push(entry);
+      return { entry, duplicate };
+    });
+
+    const skipped = records.length - importEntries.length;
+    importList.innerHTML = '<p class="admin-hint">' + importEntries.length + ' entr' + (importEntries.length === 1 ? 'y' : 'ies') + ' found' +
+      (skipped > 0 ? ', ' + skipped + ' without a title skipped' : '') + '.</p>';
+    importEntries.forEach(({ entry, duplicate }, i) => {
+      const names = entry.authors.map((a) => a.name);
+      const el = document.createElement('label');
+      el.className = 'admin-cleanup-item';
+      el.innerHTML =
+        '<input type="checkbox" value="' + i + '"' + (duplicate ? '' : ' checked') + '>' +
+        '<span class="admin-import-entry">' + escapeHtml(entry.title) +
+          (duplicate ? ' <span class="admin-badge">already listed</span>' : '') +
+          '<span class="admin-gallery-meta">' +
+            escapeHtml((names.length > 3 ? names.slice(0, 3).join(', ') + ', et al.' : names.join(', ')) +
+              ' — ' + [entry.journal, entry.year].filter(Boolean).join(', ')) +
+          '</span>' +
+        '</span>';
+      importList.appendChild(el);
+    });
+    importAddBtn.hidden = importEntries.length === 0;
+  }
+
+  // Records come out as { type, title, authors: [{ family, given }], journal,
+  // year, doi, pmid }, whatever the format
+  function parseCitations(text) {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error('Paste citations or choose a file first.');
+    if (/^[[{]/.test(trimmed)) return parseCslJson(trimmed);
+    if (/^TY\s+-/m.test(trimmed)) return parseRis(trimmed);
+    if (/@\w+\s*[{(]/.test(trimmed)) return parseBibtex(trimmed);
+    throw new Error('This does not look like BibTeX, RIS or CSL-JSON.');
+  }
+
+  function parseBibtex(text) {
+    const records = [];
+    const entryStart = /@(\w+)\s*[{(]/g;
+    let match;
+    while ((match = entryStart.exec(text))) {
+      const kind = match[1].toLowerCase();
+      if (kind === 'comment' || kind === 'string' || kind === 'preamble') continue;
+      const keyEnd = text.indexOf(',', entryStart.lastIndex);
+      if (keyEnd === -1) break;
+
+      const fields = {};
+      let i = keyEnd + 1;
+      let field;
+      while ((field = /^\s*([\w-]+)\s*=\s*/.exec(text.slice(i)))) {
+        const [value, end] = readBibtexValue(text, i + field[0].length);
+        fields[field[1].toLowerCase()] = value;
+        i = end + /^\s*,?/.exec(text.slice(end))[0].length;
+      }
+      entryStart.lastIndex = i;
+
+      records.push({
+        type: { inproceedings: 'abstract', conference: 'abstract', proceedings: 'abstract', misc: 'essay', online: 'essay', unpublished: 'essay' }[kind] || 'article',
+        title: latexToText(fields.title || ''),
+        authors: splitBibtexNames(fields.author || '').map(nameParts),
+        journal: latexToText(fields.journal || fields.journaltitle || fields.booktitle || fields.howpublished || ''),
+        year: ((fields.year || fields.date || '').match(/\d{4}/) || [])[0],
+        doi: fields.doi,
+        pmid: fields.pmid,
+      });
+    }
+    return records;
+  }
+
+  // A braced or quoted value (braces nest), or a bare number or macro name,
+  // with # concatenation; returns [value, index after it]
+  function readBibtexValue(text, i) {
+    let value = '';
+    for (;;) {
+      while (/\s/.test(text[i] || '')) i++;
+      if (text[i] === '{' || text[i] === '"') {
+        const close = text[i] === '{' ? '}' : '"';
+        let depth = 0;
+        let j = i + 1;
+        for (; j < text.length; j++) {
+          const c = text[j];
+          if (c === '\\') j++;
+          else if (c === '{') depth++;
+          else if (c === '}' && depth > 0) depth--;
+          else if (c === close && depth === 0) break;
+        }
+        value += text.slice(i + 1, j);
+        i = j + 1;
+      } else {
+        const bare = /^[\w.:/-]*/.exec(text.slice(i))[0];
+        value += bare;
+        i += bare.length;
+      }
+      const hash = /^\s*#/.exec(text.slice(i));
+      if (!hash) return [value, i];
+      i += hash[0].length;
+    }
+  }
+
+  function splitBibtexNames(value) {
+    return value.split(/\s+and\s+/i).map(latexToText).filter((name) => name && name.toLowerCase() !== 'others');
+  }
+
+  // Combining marks for \"u, \'e, \c{c} and the like
+  const LATEX_ACCENTS = {
+    '"': '\u0308', "'": '\u0301', '`': '\u0300', '^': '\u0302', '~': '\u0303', '=': '\u0304', '.': '\u0307',
+    c: '\u0327', v: '\u030c', u: '\u0306', H: '\u030b', k: '\u0328',
+  };
+  const LATEX_LETTERS = { ss: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', o: 'ø', O: 'Ø', l: 'ł', L: 'Ł' };
+
+  function latexToText(value) {
+    return String(value)
+      .replace(/\\([`'^"~=.])\s*\{?\\?([a-zA-Z])\}?/g, (m, accent, letter) => letter + LATEX_ACCENTS[accent])
+      .replace(/\\([cvuHk])\s*\{\\?([a-zA-Z])\}/g, (m, accent, letter) => letter + LATEX_ACCENTS[accent])
+      .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L)(?![a-zA-Z])\s?/g, (m, letter) => LATEX_LETTERS[letter])
+      .replace(/\\([&%$#_{}])/g, '$1')
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/\\[a-zA-Z]+\s*/g, '')
+      .replace(/[{}]/g, '')
+      .replace(/~/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .normalize('NFC');
+  }
+
+  function parseRis(text) {
+    const records = [];
+    let fields = null;
+    text.split(/\r?\n/).forEach((line) => {
+      const match = /^([A-Z][A-Z0-9])\s+-\s?(.*)$/.exec(line);
+      if (!match) return;
+      const [, tag, value] = match;
+      if (tag === 'TY') {
+        fields = { TY: [value.trim()] };
+      } else if (tag === 'ER') {
+        if (fields) records.push(risRecord(fields));
+        fields = null;
+      } else if (fields) {
+        (fields[tag] = fields[tag] || []).push(value.trim());
+      }
+    });
+    return records;
+  }
+
+  function risRecord(fields) {
+    const first = (...tags) => {
+      const tag = tags.find((t) => fields[t] && fields[t][0]);
+      return tag ? fields[tag][0] : '';
+    };
+    return {
+      type: { JOUR: 'article', JFULL: 'article', CONF: 'abstract', CPAPER: 'abstract', ABST: 'abstract', BLOG: 'essay', ELEC: 'essay', GEN: 'essay' }[fields.TY[0]] || 'article',
+      title: first('TI', 'T1'),
+      authors: (fields.AU || []).concat(fields.A1 || []).map(nameParts),
+      journal: first('JO', 'JF', 'T2', 'JA', 'J2'),
+      year: (first('PY', 'Y1', 'DA').match(/\d{4}/) || [])[0],
+      doi: first('DO'),
+      pmid: (first('AN').match(/^(?:PMID:\s*)?(\d+)$/) || [])[1],
+    };
+  }
+
+  function parseCslJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The CSL-JSON could not be read: it is not valid JSON.');
+    }
+    return (Array.isArray(data) ? data : [data]).map((item) => {
+      const issued = item.issued && item.issued['date-parts'] ? item.issued['date-parts'][0][0] : item.issued && item.issued.raw;
+      return {
+        type: { 'article-journal': 'article', 'paper-conference': 'abstract', post: 'essay', 'post-weblog': 'essay', webpage: 'essay' }[item.type] || 'article',
+        title: String(item.title || ''),
+        authors: (item.author || []).map((a) => (a.literal ? nameParts(a.literal) : { family: a.family || '', given: a.given || '' })),
+        journal: [].concat(item['container-title'] || '')[0],
+        year: (String(issued || '').match(/\d{4}/) || [])[0],
+        doi: item.DOI,
+        pmid: item.PMID,
+      };
+    });
+  }
+
+  // "Last, First" or "First Middle Last"
+  function nameParts(name) {
+    const comma = name.indexOf(',');
+    if (comma !== -1) return { family: name.slice(0, comma).trim(), given: name.slice(comma + 1).trim() };
+    const words = name.trim().split(/\s+/);
+    return { family: words.pop() || '', given: words.join(' ') };
+  }
+
+  function toPublication(record, selfNames) {
+    const authors = record.authors.filter((a) => a.family).map((a) => {
+      const initials = a.given.split(/[\s.-]+/).filter(Boolean).map((part) => part[0].toUpperCase()).join('');
+      const name = a.family + (initials ? ' ' + initials : '');
+      return selfNames.has(authorKey(name)) ? { name, self: true } : { name };
+    });
+    const entry = { title: record.title.trim().replace(/\.$/, ''), authors, journal: record.journal || '' };
+    if (record.year) entry.year = Number(record.year);
+    const doi = String(record.doi || '').trim().replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, '');
+    if (doi) entry.doi = doi;
+    if (/^\d+$/.test(String(record.pmid || '').trim())) entry.pmid = Number(record.pmid);
+    entry.type = record.type;
+    return entry;
+  }
+
+  function authorKey(name) {
+    return String(name || '').replace(/\*/g, '').trim().toLowerCase();
+  }
+
+  function samePublication(a, b) {
+    if (a.doi && b.doi && String(a.doi).toLowerCase() === String(b.doi).toLowerCase()) return true;
+    const key = (title) => String(title || '').normalize('NFKD').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return key(a.title) !== '' && key(a.title) === key(b.title);
+  }
+
+  // ── History ────────────────────────────────────────────────────────────
+  // Commits that touched gallery.yml; each expands to its entry diff and can
+  // be rolled back to (optionally bringing back images deleted since).
+  async function loadHistory() {
+    historyList.innerHTML = '<div class="admin-loading">Loading history&hellip;</div>';
+
+    try {
+      const res = await apiRequest('/history');
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const revisions = await res.json();
+      historyList.innerHTML = '';
+      if (revisions.length === 0) {
+        historyList.innerHTML = '<div class="admin-empty"><p>No published revisions yet.</p></div>';
+      }
+      revisions.forEach((rev, i) => historyList.appendChild(renderRevision(rev, i === 0)));
+    } catch (err) {
+      historyList.innerHTML = '<div class="admin-loading">Failed to load history.</div>';
+    }
+  }
+
+  function renderRevision(rev, isCurrent) {
+    const details = document.createElement('details');
+    details.className = 'admin-revision';
+    details.innerHTML =
+      '<summary>' +
+        '<span class="admin-revision-message">' + escapeHtml(rev.message.split('\n')[0]) + '</span>' +
+        (isCurrent ? ' <span class="admin-badge">current</span>' : '') +
+        '<span class="admin-revision-meta">' + escapeHtml(rev.login || rev.author) + ' &middot; ' +
+          escapeHtml(new Date(rev.date).toLocaleString()) + ' &middot; ' +
+          (rev.url
+            ? '<a href="' + escapeHtml(rev.url) + '" target="_blank" rel="noopener">' + rev.sha.slice(0, 7) + '</a>'
+            : rev.sha.slice(0, 7)) + '</span>' +
+      '</summary>' +
+      '<div class="admin-revision-body"><div class="admin-loading">Loading changes&hellip;</div></div>';
+
+    details.addEventListener('toggle', () => {
+      if (details.open && !details.dataset.loaded) {
+        details.dataset.loaded = 'true';
+        loadRevision(rev, isCurrent, details.querySelector('.admin-revision-body'));
+      }
+    });
+    return details;
+  }
+
+  async function loadRevision(rev, isCurrent, body) {
+    try {
+      const res = await apiRequest('/history/' + rev.sha);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const data = await res.json();
+      body.innerHTML = renderDiffList(diffGallery(data.previous, data.entries));
+    } catch (err) {
+      body.innerHTML = '<p class="admin-hint">Failed to load this revision.</p>';
+      return;
+    }
+
+    if (isCurrent) return;
+
+    const actions = document.createElement('div');
+    actions.className = 'admin-revision-actions';
+    actions.innerHTML =
+      '<label class="admin-field admin-field-check"><input type="checkbox"> <span>Also restore images deleted since</span></label>' +
+      '<button class="btn btn-outline">Roll Back to This Version</button>';
+    const restoreInput = actions.querySelector('input');
+    const rollbackButton = actions.querySelector('button');
+    rollbackButton.addEventListener('click', () => rollbackGallery(rev, restoreInput.checked, rollbackButton));
+    body.appendChild(actions);
+  }
+
+  async function rollbackGallery(rev, restoreImages, btn) {
+    const question = 'Restore the gallery as of ' + new Date(rev.date).toLocaleString() + '? ' +
+      'This publishes immediately and discards unpublished edits in Manage Gallery.';
+    if (!confirm(question)) return;
+
+    btn.disabled = true;
+    btn.textContent = 'Rolling back…';
+
+    try {
+      const res = await apiRequest('/rollback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sha: rev.sha, restoreImages }),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        const restored = data.restored.length;
+        showToast('Rolled back' + (restored ? ', ' + restored + ' image' + (restored === 1 ? '' : 's') + ' restored' : '') +
+          '. Site will redeploy in ~60 seconds.');
+        loadGalleryData();
+        loadHistory();
+      } else {
+        showToast(data.error || 'Rollback failed', 'error');
+        btn.disabled = false;
+        btn.textContent = 'Roll Back to This Version';
+      }
+    } catch (err) {
+      showToast('Rollback failed: ' + err.message, 'error');
+      btn.disabled = false;
+      btn.textContent = 'Roll Back to This Version';
+    }
+  }
+
+  // ── Drafts ─────────────────────────────────────────────────────────────
+  // Drafts are drafts/<name> branches with an open pull request against the
+  // live branch. Saving to the same name again adds a commit to that draft.
+  draftNameInput.value = draftName;
+  draftNameInput.addEventListener('input', () => {
+    draftName = draftNameInput.value.trim();
+  });
+
+  async function saveDraft(changeset, btn) {
+    if (!draftName) {
+      showToast('Enter a draft name in the Drafts tab first', 'error');
+      return;
+    }
+
+    const label = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = 'Saving…';
+
+    try {
+      const res = await apiRequest('/commit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...changeset, draft: draftName }),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        showToast('Saved to draft “' + data.draft.branch + '”. Review it in the Drafts tab.');
+      } else if (!showRejectedUploads(data)) {
+        showToast(data.error || 'Saving draft failed', 'error');
+      }
+    } catch (err) {
+      showToast('Saving draft failed: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = label;
+    }
+  }
+
+  async function loadDrafts() {
+    draftList.innerHTML = '<div class="admin-loading">Loading drafts&hellip;</div>';
+
+    try {
+      const res = await apiRequest('/drafts');
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      renderDrafts(await res.json());
+    } catch (err) {
+      draftList.innerHTML = '<div class="admin-loading">Failed to load drafts.</div>';
+    }
+  }
 
-      galleryEntries.forEach((entry) => {
-        const imgUrl = getImageUrl(entry.image);
-        const item = document.createElement('div');
-        item.className = 'gallery-item';
-        item.innerHTML =
-          '<img src="' + escapeHtml(imgUrl) + '" alt="' + escapeHtml(entry.caption || '') + '" class="gallery-img">' +
-          (entry.caption ? '<div class="gallery-caption"><p>' + escapeHtml(entry.caption) + '</p></div>' : '');
-        grid.appendChild(item);
+  function renderDrafts(drafts) {
+    draftList.innerHTML = '';
+    if (drafts.length === 0) {
+      draftList.innerHTML = '<div class="admin-empty"><p>No pending drafts.</p></div>';
+      return;
+    }
+
+    drafts.forEach((draft) => {
+      const card = document.createElement('div');
+      card.className = 'admin-draft';
+      card.innerHTML =
+        '<div class="admin-draft-header">' +
+          '<h3 class="admin-subtitle">' + escapeHtml(draft.title) + '</h3>' +
+          (draft.url ? '<a href="' + escapeHtml(draft.url) + '" target="_blank" rel="noopener">#' + draft.id + ' on GitHub</a>' : '') +
+        '</div>' +
+        '<p class="admin-hint">' + escapeHtml(draft.branch) + ' &middot; updated ' +
+          escapeHtml(new Date(draft.updated_at).toLocaleString()) + '</p>';
+
+      draft.files.forEach((file) => card.appendChild(renderDraftFile(file)));
+
+      const actions = document.createElement('div');
+      actions.className = 'admin-actions';
+      actions.innerHTML =
+        '<button class="btn btn-outline">Discard</button>' +
+        '<button class="btn btn-primary">Promote to Live</button>';
+      const [discardButton, promoteButton] = actions.querySelectorAll('button');
+      discardButton.addEventListener('click', () => resolveDraft(draft, 'discard', discardButton));
+      promoteButton.addEventListener('click', () => resolveDraft(draft, 'promote', promoteButton));
+      card.appendChild(actions);
+
+      draftList.appendChild(card);
+    });
+  }
+
+  function renderDraftFile(file) {
+    const details = document.createElement('details');
+    details.className = 'admin-draft-file';
+    details.innerHTML =
+      '<summary><span class="admin-badge">' + escapeHtml(file.status) + '</span> ' + escapeHtml(file.filename) +
+      ' <span class="admin-draft-stats">+' + file.additions + ' −' + file.deletions + '</span></summary>';
+
+    const pre = document.createElement('pre');
+    pre.className = 'admin-draft-patch';
+    if (file.patch) {
+      file.patch.split('\n').forEach((line) => {
+        const row = document.createElement('span');
+        if (line.startsWith('+')) row.className = 'admin-diff-added';
+        else if (line.startsWith('-')) row.className = 'admin-diff-removed';
+        else if (line.startsWith('@@')) row.className = 'admin-diff-hunk';
+        row.textContent = line + '\n';
+        pre.appendChild(row);
       });
+    } else {
+      pre.textContent = 'Binary file — no text diff.';
+    }
+    details.appendChild(pre);
+    return details;
+  }
 
-      previewContent.appendChild(grid);
+  async function resolveDraft(draft, action, btn) {
+    const question = action === 'promote'
+      ? 'Merge “' + draft.title + '” into the live site?'
+      : 'Discard “' + draft.title + '”? Its branch will be deleted.';
+    if (!confirm(question)) return;
+
+    btn.disabled = true;
+    try {
+      const res = await apiRequest('/drafts/' + draft.id + '/' + action, { method: 'POST' });
+      const data = await res.json();
+
+      if (res.ok) {
+        if (action === 'promote') {
+          // The live files changed underneath the editors; reload them
+          Object.keys(dataFiles).forEach((name) => delete dataFiles[name]);
+          loadGalleryData();
+          showToast('Promoted! Site will redeploy in ~60 seconds.');
+        } else {
+          showToast('Draft discarded.');
+        }
+        loadDrafts();
+      } else {
+        showToast(data.error || 'Request failed', 'error');
+        btn.disabled = false;
+      }
+    } catch (err) {
+      showToast('Request failed: ' + err.message, 'error');
+      btn.disabled = false;
     }
+  }
 
-    previewModal.hidden = false;
-    document.body.style.overflow = 'hidden';
-  });
+  // ── Users ──────────────────────────────────────────────────────────────
+  async function loadUsers() {
+    userList.innerHTML = '<div class="admin-loading">Loading users&hellip;</div>';
 
-  closePreviewBtn.addEventListener('click', closePreview);
-  previewModal.addEventListener('click', (e) => {
-    if (e.target === previewModal) closePreview();
+    try {
+      const res = await apiRequest('/users');
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      renderUsers(await res.json());
+    } catch (err) {
+      userList.innerHTML = '<div class="admin-loading">Failed to load users.</div>';
+    }
+  }
+
+  function renderUsers(users) {
+    const me = currentUser().username;
+    userList.innerHTML = '';
+
+    users.forEach((user) => {
+      const row = document.createElement('div');
+      row.className = 'admin-user';
+      row.innerHTML =
+        '<div class="admin-user-info">' +
+          '<span class="admin-user-name">' + escapeHtml(user.name) + '</span>' +
+          '<span class="admin-user-login">' + escapeHtml(user.username) +
+            (user.legacy ? ' &middot; signs in with the worker&rsquo;s admin password' : '') + '</span>' +
+        '</div>' +
+        '<select class="admin-input admin-input-sm">' + ROLES.map((role) =>
+          '<option value="' + role + '"' + (role === user.role ? ' selected' : '') + '>' +
+            role.charAt(0).toUpperCase() + role.slice(1) + '</option>').join('') + '</select>' +
+        '<button class="btn btn-outline admin-add-btn">Set Password</button>' +
+        '<button class="admin-delete-btn" title="Delete user">&times;</button>';
+
+      const [roleSelect] = row.querySelectorAll('select');
+      const [passwordButton, deleteButton] = row.querySelectorAll('button');
+      const locked = user.legacy || user.username === me;
+      roleSelect.disabled = locked;
+      deleteButton.disabled = locked;
+      passwordButton.disabled = !!user.legacy;
+
+      roleSelect.addEventListener('change', () => updateUser(user, { role: roleSelect.value }));
+      passwordButton.addEventListener('click', () => {
+        const password = prompt('New password for ' + user.name + ' (min. 10 characters):');
+        if (password) updateUser(user, { password });
+      });
+      deleteButton.addEventListener('click', () => deleteUser(user));
+      userList.appendChild(row);
+    });
+  }
+
+  userForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const fields = Object.fromEntries(new FormData(userForm));
+    fields.username = fields.username.trim().toLowerCase();
+    const btn = userForm.querySelector('button');
+    btn.disabled = true;
+
+    try {
+      const res = await apiRequest('/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        userForm.reset();
+        showToast('Added ' + data.name + '.');
+        loadUsers();
+      } else {
+        showToast(data.error || 'Adding user failed', 'error');
+      }
+    } catch (err) {
+      showToast('Adding user failed: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+    }
   });
 
-  function closePreview() {
-    previewModal.hidden = true;
-    document.body.style.overflow = '';
+  async function updateUser(user, changes) {
+    try {
+      const res = await apiRequest('/users/' + encodeURIComponent(user.username), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        showToast('Updated ' + data.name + '.');
+      } else {
+        showToast(data.error || 'Update failed', 'error');
+      }
+    } catch (err) {
+      showToast('Update failed: ' + err.message, 'error');
+    }
+    loadUsers();
   }
 
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && !previewModal.hidden) closePreview();
+  async function deleteUser(user) {
+    if (!confirm('Delete ' + user.name + '? They will be signed out immediately.')) return;
+
+    try {
+      const res = await apiRequest('/users/' + encodeURIComponent(user.username), { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        showToast('Deleted ' + user.name + '.');
+      } else {
+        showToast(data.error || 'Delete failed', 'error');
+      }
+    } catch (err) {
+      showToast('Delete failed: ' + err.message, 'error');
+    }
+    loadUsers();
+  }
+
+  // ── Activity ───────────────────────────────────────────────────────────
+  // The worker's audit log, newest first, paged with the cursor it returns
+  let auditCursor = null;
+
+  auditFilters.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadAudit();
   });
 
-  // ── Publish ────────────────────────────────────────────────────────────
-  saveBtn.addEventListener('click', async () => {
-    saveBtn.disabled = true;
-    saveBtn.textContent = 'Publishing…';
+  auditMoreBtn.addEventListener('click', () => loadAudit(auditCursor));
+
+  async function loadAudit(cursor) {
+    const params = new URLSearchParams();
+    new FormData(auditFilters).forEach((value, key) => {
+      if (value) params.set(key, value);
+    });
+    if (cursor) params.set('cursor', cursor);
+
+    if (!cursor) auditList.innerHTML = '<div class="admin-loading">Loading activity&hellip;</div>';
+    auditMoreBtn.disabled = true;
 
     try {
-      const yaml = galleryToYaml(galleryEntries);
-      const res = await apiRequest('/gallery', {
-        method: 'PUT',
+      const res = await apiRequest('/audit?' + params);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const data = await res.json();
+
+      if (!cursor) auditList.innerHTML = '';
+      if (!data.enabled) {
+        auditList.innerHTML = '<p class="admin-hint">The audit log needs the AUDIT KV namespace (see wrangler.toml).</p>';
+      } else if (!cursor && data.entries.length === 0) {
+        auditList.innerHTML = '<div class="admin-empty"><p>No matching activity.</p></div>';
+      }
+      data.entries.forEach((entry) => auditList.appendChild(renderAuditEntry(entry)));
+
+      auditCursor = data.cursor;
+      auditMoreBtn.hidden = !data.cursor;
+    } catch (err) {
+      auditList.innerHTML = '<div class="admin-loading">Failed to load activity.</div>';
+    } finally {
+      auditMoreBtn.disabled = false;
+    }
+  }
+
+  function renderAuditEntry(entry) {
+    const row = document.createElement('div');
+    row.className = 'admin-audit-entry admin-audit-' + entry.outcome;
+    row.innerHTML =
+      '<span class="admin-audit-time">' + escapeHtml(new Date(entry.at).toLocaleString()) + '</span>' +
+      '<span class="admin-audit-user">' + escapeHtml(entry.user || '—') + '</span>' +
+      '<span class="admin-audit-action">' + escapeHtml(entry.method + ' ' + entry.route) +
+        (entry.target ? ' <span class="admin-audit-target">' + escapeHtml(entry.target) + '</span>' : '') +
+        (entry.error ? ' <span class="admin-audit-error">' + escapeHtml(entry.error) + '</span>' : '') +
+      '</span>' +
+      '<span class="admin-audit-meta">' + escapeHtml(String(entry.status)) +
+        (entry.commit ? ' &middot; ' + escapeHtml(entry.commit.slice(0, 7)) : '') +
+        (entry.ip ? ' &middot; ' + escapeHtml(entry.ip) : '') +
+      '</span>';
+    return row;
+  }
+
+  // ── Account ────────────────────────────────────────────────────────────
+  // The signed-in user's passkeys, plus sign-in settings for owners
+  async function loadAccount() {
+    passkeyList.innerHTML = '<div class="admin-loading">Loading passkeys&hellip;</div>';
+    passkeyForm.hidden = !window.PublicKeyCredential;
+    signInSettings.hidden = !hasRole('owner');
+
+    try {
+      const res = await apiRequest('/passkeys');
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      renderPasskeys(await res.json());
+    } catch (err) {
+      passkeyList.innerHTML = '<div class="admin-loading">Failed to load passkeys.</div>';
+    }
+
+    loadTotpStatus();
+
+    if (hasRole('owner')) {
+      const res = await apiRequest('/settings');
+      if (res.ok) passwordLoginInput.checked = (await res.json()).passwordLogin;
+    }
+  }
+
+  function renderPasskeys(passkeys) {
+    passkeyList.innerHTML = passkeys.length === 0 ? '<p class="admin-hint">No passkeys yet.</p>' : '';
+
+    passkeys.forEach((passkey) => {
+      const row = document.createElement('div');
+      row.className = 'admin-user';
+      row.innerHTML =
+        '<div class="admin-user-info">' +
+          '<span class="admin-user-name">' + escapeHtml(passkey.name) + '</span>' +
+          '<span class="admin-user-login">added ' + escapeHtml(new Date(passkey.created_at).toLocaleDateString()) +
+            (passkey.last_used_at ? ' &middot; last used ' + escapeHtml(new Date(passkey.last_used_at).toLocaleString()) : '') +
+          '</span>' +
+        '</div>' +
+        '<button class="admin-delete-btn" title="Remove passkey">&times;</button>';
+      row.querySelector('button').addEventListener('click', () => deletePasskey(passkey));
+      passkeyList.appendChild(row);
+    });
+  }
+
+  passkeyForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const btn = passkeyForm.querySelector('button');
+    btn.disabled = true;
+
+    try {
+      const optionsRes = await apiRequest('/passkeys/options', { method: 'POST' });
+      const options = await optionsRes.json();
+      if (!optionsRes.ok) throw new Error(options.error);
+
+      const credential = await navigator.credentials.create({
+        publicKey: {
+          ...options,
+          challenge: base64UrlToBytes(options.challenge),
+          user: { ...options.user, id: base64UrlToBytes(options.user.id) },
+          excludeCredentials: options.excludeCredentials.map((c) => ({ ...c, id: base64UrlToBytes(c.id) })),
+        },
+      });
+      const res = await apiRequest('/passkeys', {
+        method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ content: yaml, sha: gallerySha }),
+        body: JSON.stringify({
+          name: passkeyForm.elements.name.value,
+          credential: {
+            id: credential.id,
+            response: {
+              clientDataJSON: bytesToBase64Url(credential.response.clientDataJSON),
+              attestationObject: bytesToBase64Url(credential.response.attestationObject),
+            },
+          },
+        }),
       });
+      const data = await res.json();
 
       if (res.ok) {
-        const data = await res.json();
-        gallerySha = data.sha;
-        showToast('Published! Site will redeploy in ~60 seconds.');
+        passkeyForm.reset();
+        showToast('Passkey added.');
+        loadAccount();
       } else {
-        const data = await res.json();
-        showToast(data.error || 'Publish failed', 'error');
+        showToast(data.error || 'Adding passkey failed', 'error');
       }
     } catch (err) {
-      showToast('Publish failed: ' + err.message, 'error');
+      if (err.name !== 'NotAllowedError') showToast('Adding passkey failed: ' + err.message, 'error');
     } finally {
-      saveBtn.disabled = false;
-      saveBtn.textContent = 'Publish Changes';
+      btn.disabled = false;
     }
   });
 
-  function galleryToYaml(entries) {
-    if (entries.length === 0) return '# Gallery is empty\n';
-    return entries.map((e) => {
-      let yaml = '- image: "' + e.image + '"';
-      if (e.caption) yaml += '\n  caption: "' + e.caption.replace(/"/g, '\\"') + '"';
-      if (e.category) yaml += '\n  category: "' + e.category.replace(/"/g, '\\"') + '"';
-      return yaml;
-    }).join('\n\n') + '\n';
+  async function deletePasskey(passkey) {
+    if (!confirm('Remove the passkey “' + passkey.name + '”?')) return;
+
+    try {
+      const res = await apiRequest('/passkeys/' + passkey.id, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        showToast('Passkey removed.');
+      } else {
+        showToast(data.error || 'Removing passkey failed', 'error');
+      }
+    } catch (err) {
+      showToast('Removing passkey failed: ' + err.message, 'error');
+    }
+    loadAccount();
+  }
+
+  async function loadTotpStatus() {
+    totpSection.innerHTML = '<div class="admin-loading">Loading&hellip;</div>';
+    try {
+      const res = await apiRequest('/totp');
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      renderTotpStatus(await res.json());
+    } catch (err) {
+      totpSection.innerHTML = '<div class="admin-loading">Failed to load two-factor status.</div>';
+    }
+  }
+
+  function renderTotpStatus(status) {
+    if (status.fromEnv) {
+      totpSection.innerHTML = '<p class="admin-hint">On, using the ADMIN_TOTP_SECRET worker secret.</p>';
+    } else if (status.enabled) {
+      totpSection.innerHTML =
+        '<p class="admin-hint">On &middot; ' + status.recoveryCodesLeft + ' recovery code' +
+          (status.recoveryCodesLeft === 1 ? '' : 's') + ' left</p>' +
+        '<button class="btn btn-outline">Turn Off</button>';
+      totpSection.querySelector('button').addEventListener('click', disableTotp);
+    } else {
+      totpSection.innerHTML = '<button class="btn btn-primary">Set Up</button>';
+      totpSection.querySelector('button').addEventListener('click', enrollTotp);
+    }
+  }
+
+  async function enrollTotp() {
+    try {
+      const res = await apiRequest('/totp/enroll', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(data.error || 'Setup failed', 'error');
+        return;
+      }
+
+      totpSection.innerHTML =
+        '<div class="admin-totp-setup">' +
+          '<img src="' + data.qr + '" alt="QR code for your authenticator app" width="200" height="200">' +
+          '<div>' +
+            '<p class="admin-hint">Scan the code with your authenticator app, or enter this secret:</p>' +
+            '<p class="admin-totp-secret">' + escapeHtml(data.secret.replace(/(.{4})/g, '$1 ').trim()) + '</p>' +
+            '<form class="admin-user-form">' +
+              '<input type="text" class="admin-input admin-input-sm" placeholder="6-digit code" autocomplete="one-time-code" inputmode="numeric" required>' +
+              '<button type="submit" class="btn btn-primary">Confirm</button>' +
+            '</form>' +
+          '</div>' +
+        '</div>';
+      const form = totpSection.querySelector('form');
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        confirmTotp(form.querySelector('input').value.trim());
+      });
+    } catch (err) {
+      showToast('Setup failed: ' + err.message, 'error');
+    }
+  }
+
+  async function confirmTotp(code) {
+    try {
+      const res = await apiRequest('/totp/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(data.error || 'Confirming failed', 'error');
+        return;
+      }
+
+      // Recovery codes are shown exactly once
+      totpSection.innerHTML =
+        '<p class="admin-hint">Two-factor authentication is on. Store these recovery codes somewhere safe; ' +
+          'each one signs you in once if you lose your authenticator.</p>' +
+        '<ul class="admin-recovery-codes">' + data.recoveryCodes.map((c) => '<li>' + escapeHtml(c) + '</li>').join('') + '</ul>' +
+        '<button class="btn btn-outline">Done</button>';
+      totpSection.querySelector('button').addEventListener('click', loadTotpStatus);
+    } catch (err) {
+      showToast('Confirming failed: ' + err.message, 'error');
+    }
+  }
+
+  async function disableTotp() {
+    const code = prompt('Enter a current code (or a recovery code) to turn off two-factor authentication:');
+    if (!code) return;
+
+    try {
+      const res = await apiRequest('/totp/disable', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        showToast('Two-factor authentication turned off.');
+      } else {
+        showToast(data.error || 'Turning off failed', 'error');
+      }
+    } catch (err) {
+      showToast('Turning off failed: ' + err.message, 'error');
+    }
+    loadTotpStatus();
+  }
+
+  logoutAllBtn.addEventListener('click', async () => {
+    if (!confirm('Sign out of every session of your account, including this one?')) return;
+
+    try {
+      const res = await apiRequest('/logout-all', { method: 'POST' });
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      clearToken();
+      location.reload();
+    } catch (err) {
+      showToast('Signing out failed: ' + err.message, 'error');
+    }
+  });
+
+  passwordLoginInput.addEventListener('change', async () => {
+    try {
+      const res = await apiRequest('/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ passwordLogin: passwordLoginInput.checked }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        showToast(data.passwordLogin ? 'Password sign-in turned on.' : 'Password sign-in turned off.');
+      } else {
+        passwordLoginInput.checked = !passwordLoginInput.checked;
+        showToast(data.error || 'Saving settings failed', 'error');
+      }
+    } catch (err) {
+      passwordLoginInput.checked = !passwordLoginInput.checked;
+      showToast('Saving settings failed: ' + err.message, 'error');
+    }
+  });
+
+  // ── YAML Serializer ────────────────────────────────────────────────────
+  // Counterpart of the worker's parser. Comments reported by the worker are
+  // attached to the loaded objects (so they follow items that get reordered)
+  // and written back next to the same keys and items.
+  const yamlComments = new WeakMap(); // object/array → { key|index|'' → { before, inline } }
+
+  function attachYamlComments(root, comments) {
+    if (!root || typeof root !== 'object') return;
+    (comments || []).forEach(({ path, before, inline }) => {
+      if (!path) {
+        commentsOf(root)['$end'] = { before };
+        return;
+      }
+      let parent = root;
+      for (const key of path.slice(0, -1)) {
+        parent = parent == null ? null : parent[key];
+      }
+      if (!parent || typeof parent !== 'object') return;
+      const key = path[path.length - 1];
+      // Comments on a list item that is a mapping travel with the item itself
+      if (Array.isArray(parent) && isPlainObject(parent[key])) {
+        commentsOf(parent[key])[''] = { before, inline };
+      } else {
+        commentsOf(parent)[key] = { before, inline };
+      }
+    });
+  }
+
+  function copyYamlComments(from, to) {
+    if (yamlComments.has(from)) yamlComments.set(to, Object.assign({}, yamlComments.get(from)));
+  }
+
+  function commentsOf(obj) {
+    if (!yamlComments.has(obj)) yamlComments.set(obj, {});
+    return yamlComments.get(obj);
+  }
+
+  function dataToYaml(value) {
+    const footer = (value && typeof value === 'object' && commentsOf(value)['$end']) || null;
+    const lines = Array.isArray(value) && value.length === 0 ? ['[]'] : yamlLines(value, 0);
+    if (footer) lines.push('', ...yamlCommentLines(footer.before, ''));
+    return lines.join('\n') + '\n';
+  }
+
+  function yamlLines(value, indent) {
+    const pad = ' '.repeat(indent);
+    const notes = commentsOf(value);
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return [];
+      const hasMappings = value.some(isPlainObject);
+      const blocks = value.map((item, i) => {
+        if (isPlainObject(item) || Array.isArray(item)) {
+          const own = isPlainObject(item) ? commentsOf(item)[''] : notes[i];
+          const before = own ? yamlCommentLines(own.before, pad) : [];
+          const inner = yamlLines(item, indent + 2);
+          if (inner.length === 0) return before.concat(pad + '- ' + (Array.isArray(item) ? '[]' : '{}')).join('\n');
+          inner[0] = pad + '- ' + inner[0].slice(indent + 2);
+          return before.concat(inner).join('\n');
+        }
+        return yamlCommentLines(notes[i] && notes[i].before, pad)
+          .concat(pad + '- ' + yamlScalar(item) + yamlInlineComment(notes[i]))
+          .join('\n');
+      });
+      return blocks.join(hasMappings ? '\n\n' : '\n').split('\n');
+    }
+
+    const lines = [];
+    Object.keys(value).forEach((key) => {
+      const v = value[key];
+      if (v === '' || v == null) return;
+      const isBlock = Array.isArray(v) || isPlainObject(v);
+      // Top-level collections are separated by a blank line
+      if (indent === 0 && isBlock && lines.length > 0) lines.push('');
+      lines.push(...yamlCommentLines(notes[key] && notes[key].before, pad));
+      const head = pad + yamlKey(key) + ':';
+      if (isBlock && Object.keys(v).length === 0) {
+        lines.push(head + (Array.isArray(v) ? ' []' : ' {}') + yamlInlineComment(notes[key]));
+      } else if (isBlock) {
+        lines.push(head + yamlInlineComment(notes[key]));
+        lines.push(...yamlLines(v, indent + 2));
+      } else {
+        lines.push(head + ' ' + yamlScalar(v) + yamlInlineComment(notes[key]));
+      }
+    });
+    return lines;
+  }
+
+  function yamlCommentLines(before, pad) {
+    return (before || []).map((line) => pad + (line ? '# ' + line : '#'));
+  }
+
+  function yamlInlineComment(note) {
+    return note && note.inline ? ' # ' + note.inline : '';
+  }
+
+  function yamlKey(key) {
+    return /^[A-Za-z_][A-Za-z0-9_-]*$/.test(key) && !/^(true|false|yes|no|on|off|null)$/i.test(key)
+      ? key
+      : yamlQuote(key);
+  }
+
+  function yamlScalar(value) {
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number' && isFinite(value)) return String(value);
+    return yamlQuote(String(value));
+  }
+
+  // JSON strings are valid YAML double-quoted scalars once the characters
+  // YAML treats as line breaks (NEL, LS, PS) and the BOM are escaped too.
+  function yamlQuote(str) {
+    return JSON.stringify(str).replace(/[\u0085\u2028\u2029\uFEFF]/g, (c) => {
+      return '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0');
+    });
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
   }
 
   // ── Utilities ──────────────────────────────────────────────────────────
+  // UTF-8 safe, unlike plain atob()
+  function decodeBase64Url(str) {
+    return new TextDecoder().decode(base64UrlToBytes(str));
+  }
+
+  // WebAuthn hands out ArrayBuffers; the worker speaks base64url
+  function base64UrlToBytes(str) {
+    const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  }
+
+  function bytesToBase64Url(buffer) {
+    const binary = String.fromCharCode(...new Uint8Array(buffer));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
   function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str || '';
@@ -527,11 +3874,13 @@
   }
 
   // ── Init ───────────────────────────────────────────────────────────────
-  if (isTokenValid()) {
-    showPanel();
-  } else {
-    clearToken();
-    showLogin();
-  }
+  (async () => {
+    if (isTokenValid() || await refreshSession()) {
+      showPanel();
+    } else {
+      clearToken();
+      showLogin();
+    }
+  })();
 
 })();
@@ -166,3 +166,789 @@ themeToggle.addEventListener('click', () => {
         }
     });
 })();
+
+// Gallery: fade images in over their blurred placeholders
+(function () {
+    var grid = document.querySelector('.gallery-grid');
+    if (!grid) return;
+
+    grid.classList.add('gallery-fade');
+    grid.querySelectorAll('.gallery-img').forEach(function (img) {
+        function show() { img.classList.add('loaded'); }
+        if (img.complete) {
+            show();
+        } else {
+            img.addEventListener('load', show);
+            img.addEventListener('error', show);
+        }
+    });
+})();
+
+// Gallery: album chips filter the grid in place, with the album in ?c=
+(function () {
+    var filters = document.querySelector('.gallery-filters');
+    if (!filters) return;
+
+    var chips = filters.querySelectorAll('.gallery-chip');
+    var items = document.querySelectorAll('.gallery-grid .gallery-item');
+
+    function show(category) {
+        var known = Array.prototype.some.call(chips, function (chip) {
+            return chip.getAttribute('data-category') === category;
+        });
+        if (!known) category = '';
+
+        chips.forEach(function (chip) {
+            var active = chip.getAttribute('data-category') === category;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-current', active ? 'true' : 'false');
+        });
+        items.forEach(function (item) {
+            item.hidden = category !== '' && item.getAttribute('data-category') !== category;
+        });
+    }
+
+    function fromUrl() {
+        return new URLSearchParams(window.location.search).get('c') || '';
+    }
+
+    filters.addEventListener('click', function (e) {
+        var chip = e.target.closest('.gallery-chip');
+        if (!chip || e.metaKey || e.ctrlKey || e.shiftKey) return;
+        e.preventDefault();
+
+        var category = chip.getAttribute('data-category');
+        var url = new URL(window.location.href);
+        if (category) {
+            url.searchParams.set('c', category);
+        } else {
+            url.searchParams.delete('c');
+        }
+        history.pushState(null, '', url);
+        show(category);
+    });
+
+    window.addEventListener('popstate', function () { show(fromUrl()); });
+    show(fromUrl());
+})();
+
+// Gallery lightbox: arrow keys and swipes step through the visible photos,
+// and #<slug> opens a photo directly
+(function () {
+    var lightbox = document.getElementById('galleryLightbox');
+    if (!lightbox) return;
+
+    var img = lightbox.querySelector('.lightbox-img');
+    var title = lightbox.querySelector('.lightbox-title');
+    var meta = lightbox.querySelector('.lightbox-meta');
+    var count = lightbox.querySelector('.lightbox-count');
+    var closeBtn = lightbox.querySelector('.lightbox-close');
+    var prevBtn = lightbox.querySelector('.lightbox-prev');
+    var nextBtn = lightbox.querySelector('.lightbox-next');
+    var items = Array.prototype.slice.call(document.querySelectorAll('.gallery-grid .gallery-item'));
+    var current = null;
+    var returnFocus = null;
+    var SWIPE_DISTANCE = 50; // px
+
+    // Repeated captions get -2, -3, … so every photo has its own fragment
+    var seen = {};
+    items.forEach(function (item) {
+        var slug = item.getAttribute('data-slug') || 'photo';
+        seen[slug] = (seen[slug] || 0) + 1;
+        if (seen[slug] > 1) item.setAttribute('data-slug', slug + '-' + seen[slug]);
+
+        var caption = item.querySelector('.gallery-caption p');
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('role', 'button');
+        item.setAttribute('aria-label', 'View ' + (caption ? caption.textContent : 'photo'));
+        item.addEventListener('click', function () { open(item); });
+        item.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                open(item);
+            }
+        });
+    });
+
+    // Photos hidden by the album filter are skipped
+    function visibleItems() {
+        var visible = items.filter(function (item) { return !item.hidden; });
+        return visible.indexOf(current) === -1 ? [current] : visible;
+    }
+
+    // The srcset of the WebP derivatives, sized for the whole viewport
+    function setSource(target, item) {
+        var source = item.querySelector('source');
+        var original = item.querySelector('.gallery-img');
+        if (source) {
+            target.sizes = '100vw';
+            target.srcset = source.srcset;
+        } else {
+            target.removeAttribute('srcset');
+        }
+        target.src = original.src;
+    }
+
+    function show(item) {
+        current = item;
+        var list = visibleItems();
+        var index = list.indexOf(item);
+        var caption = item.querySelector('.gallery-caption p');
+        var taken = item.querySelector('.gallery-caption time');
+
+        setSource(img, item);
+        img.alt = caption ? caption.textContent : '';
+        title.textContent = caption ? caption.textContent : '';
+        meta.textContent = [
+            taken && taken.textContent,
+            item.getAttribute('data-camera'),
+            item.getAttribute('data-lens'),
+            item.getAttribute('data-exposure'),
+        ].filter(Boolean).join(' · ');
+        count.textContent = list.length > 1 ? (index + 1) + ' / ' + list.length : '';
+        prevBtn.hidden = nextBtn.hidden = list.length < 2;
+
+        // Warm the cache for the photos either side
+        [list[index - 1], list[index + 1]].forEach(function (neighbour) {
+            if (neighbour) setSource(new Image(), neighbour);
+        });
+
+        history.replaceState(null, '', '#' + item.getAttribute('data-slug'));
+    }
+
+    function open(item) {
+        if (!lightbox.classList.contains('active')) {
+            returnFocus = document.activeElement;
+            lightbox.classList.add('active');
+            document.body.style.overflow = 'hidden';
+        }
+        show(item);
+        closeBtn.focus();
+    }
+
+    function close() {
+        lightbox.classList.remove('active');
+        document.body.style.overflow = '';
+        current = null;
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        if (returnFocus) returnFocus.focus();
+    }
+
+    function step(delta) {
+        var list = visibleItems();
+        show(list[(list.indexOf(current) + delta + list.length) % list.length]);
+    }
+
+    closeBtn.addEventListener('click', close);
+    prevBtn.addEventListener('click', function () { step(-1); });
+    nextBtn.addEventListener('click', function () { step(1); });
+    lightbox.addEventListener('click', function (e) {
+        if (e.target === lightbox) close();
+    });
+
+    document.addEventListener('keydown', function (e) {
+        if (!lightbox.classList.contains('active')) return;
+        if (e.key === 'Escape') {
+            close();
+        } else if (e.key === 'ArrowLeft') {
+            step(-1);
+        } else if (e.key === 'ArrowRight') {
+            step(1);
+        } else if (e.key === 'Tab') {
+            // Keep focus on the lightbox's own (displayed) buttons
+            var buttons = Array.prototype.filter.call(lightbox.querySelectorAll('button'), function (btn) {
+                return btn.offsetParent !== null;
+            });
+            var at = buttons.indexOf(document.activeElement);
+            var to = e.shiftKey ? (at <= 0 ? buttons.length - 1 : at - 1) : (at + 1) % buttons.length;
+            e.preventDefault();
+            buttons[to].focus();
+        }
+    });
+
+    var touchX = null;
+    var touchY = null;
+    lightbox.addEventListener('touchstart', function (e) {
+        touchX = e.touches[0].clientX;
+        touchY = e.touches[0].clientY;
+    }, { passive: true });
+    lightbox.addEventListener('touchend', function (e) {
+        if (touchX === null) return;
+        var dx = e.changedTouches[0].clientX - touchX;
+        var dy = e.changedTouches[0].clientY - touchY;
+        touchX = touchY = null;
+        if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) step(dx < 0 ? 1 : -1);
+    });
+
+    function fromHash() {
+        var slug = decodeURIComponent(window.location.hash.slice(1));
+        var item = items.filter(function (i) { return i.getAttribute('data-slug') === slug; })[0];
+        if (item) {
+            open(item);
+        } else if (lightbox.classList.contains('active')) {
+            close();
+        }
+    }
+
+    window.addEventListener('hashchange', fromHash);
+    if (window.location.hash) fromHash();
+})();
+
+// Publications: search, year and type filters and sorting, kept in the URL
+// (?q=&year=&type=&sort=). Sorted results leave the topic sections for one
+// flat list.
+(function () {
+    var form = document.querySelector('.pub-filters');
+    if (!form) return;
+
+    var controls = {
+        q: document.getElementById('pubSearch'),
+        year: document.getElementById('pubYear'),
+        type: document.getElementById('pubType'),
+        sort: document.getElementById('pubSort'),
+    };
+    var status = document.querySelector('.pub-status');
+    var results = document.querySelector('.pub-results');
+    var categories = document.querySelectorAll('.pub-category');
+    var pubs = Array.prototype.slice.call(document.querySelectorAll('.pub-category .publication'));
+    var homes = pubs.map(function (pub) { return pub.parentNode; });
+
+    var ORDER = {
+        newest: function (a, b) { return b.year - a.year || a.index - b.index; },
+        oldest: function (a, b) { return a.year - b.year || a.index - b.index; },
+        title: function (a, b) { return a.title.localeCompare(b.title) || a.index - b.index; },
+    };
+
+    function readUrl() {
+        var params = new URLSearchParams(window.location.search);
+        Object.keys(controls).forEach(function (key) {
+            controls[key].value = params.get(key) || '';
+            // A value a select does not offer leaves it unselected
+            if (controls[key].selectedIndex === -1) controls[key].value = '';
+        });
+    }
+
+    function writeUrl() {
+        var url = new URL(window.location.href);
+        Object.keys(controls).forEach(function (key) {
+            var value = controls[key].value.trim();
+            if (value) {
+                url.searchParams.set(key, value);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+        history.replaceState(null, '', url);
+    }
+
+    function apply() {
+        var words = controls.q.value.toLowerCase().split(/\s+/).filter(Boolean);
+        var year = controls.year.value;
+        var type = controls.type.value;
+        var sort = ORDER[controls.sort.value];
+        var shown = 0;
+
+        pubs.forEach(function (pub) {
+            var text = pub.getAttribute('data-search');
+            var match = words.every(function (word) { return text.indexOf(word) !== -1; }) &&
+                (!year || pub.getAttribute('data-year') === year) &&
+                (!type || pub.getAttribute('data-type') === type);
+            pub.hidden = !match;
+            if (match) shown++;
+        });
+
+        if (sort) {
+            pubs.map(function (pub, index) {
+                return { pub: pub, index: index, year: Number(pub.getAttribute('data-year')), title: pub.querySelector('.pub-title').textContent };
+            }).sort(sort).forEach(function (entry) {
+                results.appendChild(entry.pub);
+            });
+        } else {
+            pubs.forEach(function (pub, i) { homes[i].appendChild(pub); });
+        }
+        results.hidden = !sort;
+
+        // Headings stay only above lists that still show something
+        document.querySelectorAll('.pub-subcategory-title').forEach(function (title) {
+            title.hidden = !title.nextElementSibling.querySelector('.publication:not([hidden])');
+        });
+        categories.forEach(function (category) {
+            category.hidden = !!sort || !category.querySelector('.publication:not([hidden])');
+        });
+
+        var filtered = words.length > 0 || year || type;
+        status.textContent = filtered ? shown + ' of ' + pubs.length + ' publications' : '';
+    }
+
+    Object.keys(controls).forEach(function (key) {
+        controls[key].addEventListener(key === 'q' ? 'input' : 'change', function () {
+            writeUrl();
+            apply();
+        });
+    });
+    form.addEventListener('submit', function (e) { e.preventDefault(); });
+    window.addEventListener('popstate', function () {
+        readUrl();
+        apply();
+    });
+
+    form.hidden = false;
+    readUrl();
+    apply();
+})();
+
+// Publications: a "Cite" button per entry opens BibTeX, RIS, APA and
+// Vancouver versions of it (built from its data-cite JSON) to copy or download
+(function () {
+    var modal = document.getElementById('citeModal');
+    if (!modal) return;
+
+    var closeBtn = modal.querySelector('.qr-modal-close');
+    var heading = modal.querySelector('.cite-modal-pub');
+    var output = modal.querySelector('.cite-output');
+    var formatBtns = modal.querySelectorAll('.cite-format');
+    var copyBtn = modal.querySelector('[data-action="copy"]');
+    var downloadBtn = modal.querySelector('[data-action="download"]');
+    var current = null;
+    var format = 'bibtex';
+    var returnFocus = null;
+
+    var FORMATS = {
+        bibtex: { extension: 'bib', mime: 'application/x-bibtex', build: bibtex },
+        ris: { extension: 'ris', mime: 'application/x-research-info-systems', build: ris },
+        apa: { extension: 'txt', mime: 'text/plain', build: apa },
+        vancouver: { extension: 'txt', mime: 'text/plain', build: vancouver },
+    };
+
+    // "Etzrodt M*" → { family: "Etzrodt", initials: ["M"] }
+    function authorParts(name) {
+        var clean = name.replace(/\*/g, '').trim();
+        var match = clean.match(/^(.*\S)\s+([A-Z]{1,4})$/);
+        return match ? { family: match[1], initials: match[2].split('') } : { family: clean, initials: [] };
+    }
+
+    // "Etzrodt M*" → "Etzrodt, M.", as BibTeX, RIS and APA list authors
+    function invertedName(name) {
+        var parts = authorParts(name);
+        return parts.family + (parts.initials.length > 0 ? ', ' + parts.initials.join('. ') + '.' : '');
+    }
+
+    function fullStop(text) {
+        return /[.?!]$/.test(text) ? text : text + '.';
+    }
+
+    function citeKey(pub) {
+        var first = pub.authors.length > 0 ? authorParts(pub.authors[0].name).family : 'anon';
+        var word = (pub.title.match(/[A-Za-z]{4,}/) || [''])[0];
+        return (first + pub.year + word).normalize('NFKD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+    }
+
+    function bibtex(pub) {
+        var escape = function (text) { return String(text).replace(/([&%#_$])/g, '\\$1'); };
+        var authors = pub.authors.map(function (a) { return invertedName(a.name); });
+        var kind = pub.type === 'abstract' ? 'inproceedings' : pub.type === 'essay' ? 'misc' : 'article';
+        var venue = kind === 'inproceedings' ? 'booktitle' : kind === 'misc' ? 'howpublished' : 'journal';
+        var fields = [
+            ['author', authors.join(' and ')],
+            ['title', '{' + escape(pub.title) + '}'],
+            [venue, escape(pub.journal)],
+            ['year', pub.year],
+        ];
+        if (pub.doi) fields.push(['doi', pub.doi]);
+        if (pub.pmid) fields.push(['pmid', pub.pmid]);
+        return '@' + kind + '{' + citeKey(pub) + ',\n' + fields.map(function (field) {
+            return '  ' + field[0] + ' = {' + field[1] + '}';
+        }).join(',\n') + '\n}\n';
+    }
+
+    function ris(pub) {
+        var type = pub.type === 'abstract' ? 'CONF' : pub.type === 'essay' ? 'GEN' : 'JOUR';
+        var lines = [['TY', type]];
+        pub.authors.forEach(function (a) { lines.push(['AU', invertedName(a.name)]); });
+        lines.push(['TI', pub.title], [type === 'JOUR' ? 'JO' : 'T2', pub.journal], ['PY', pub.year]);
+        if (pub.doi) lines.push(['DO', pub.doi]);
+        if (pub.pmid) lines.push(['AN', pub.pmid]);
+        lines.push(['ER', '']);
+        return lines.map(function (line) { return line[0] + '  - ' + line[1]; }).join('\n') + '\n';
+    }
+
+    // APA 7: up to 20 authors, then the first 19, an ellipsis and the last
+    function apa(pub) {
+        var names = pub.authors.map(function (a) { return invertedName(a.name); });
+        var list = names[0] || '';
+        if (names.length > 20) {
+            list = names.slice(0, 19).join(', ') + ', . . . ' + names[names.length - 1];
+        } else if (names.length > 1) {
+            list = names.slice(0, -1).join(', ') + ', & ' + names[names.length - 1];
+        }
+        return list + ' (' + pub.year + '). ' + fullStop(pub.title) + ' ' + pub.journal + '.' +
+            (pub.doi ? ' https://doi.org/' + pub.doi : '');
+    }
+
+    // Vancouver: up to six authors, then "et al."
+    function vancouver(pub) {
+        var names = pub.authors.map(function (a) { return a.name.replace(/\*/g, '').trim(); });
+        var list = names.length > 6 ? names.slice(0, 6).join(', ') + ', et al.' : fullStop(names.join(', '));
+        return list + ' ' + fullStop(pub.title) + ' ' + pub.journal + '. ' + pub.year + '.' +
+            (pub.doi ? ' doi:' + pub.doi : '') + (pub.pmid ? ' PMID: ' + pub.pmid + '.' : '');
+    }
+
+    function render() {
+        output.textContent = FORMATS[format].build(current);
+        formatBtns.forEach(function (btn) {
+            var active = btn.getAttribute('data-format') === format;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+        copyBtn.textContent = 'Copy';
+    }
+
+    function openModal(pub) {
+        current = pub;
+        returnFocus = document.activeElement;
+        heading.textContent = pub.title;
+        render();
+        modal.classList.add('active');
+        formatBtns[0].focus();
+    }
+
+    function closeModal() {
+        modal.classList.remove('active');
+        if (returnFocus) returnFocus.focus();
+    }
+
+    document.querySelectorAll('.publication[data-cite]').forEach(function (el) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'pub-cite';
+        btn.textContent = 'Cite';
+        btn.addEventListener('click', function () {
+            openModal(JSON.parse(el.getAttribute('data-cite')));
+        });
+        var meta = el.querySelector('.pub-meta');
+        meta.appendChild(document.createTextNode(' · '));
+        meta.appendChild(btn);
+    });
+
+    formatBtns.forEach(function (btn) {
+        btn.addEventListener('click', function () {
+            format = btn.getAttribute('data-format');
+            render();
+        });
+    });
+
+    copyBtn.addEventListener('click', function () {
+        var text = output.textContent;
+        var copied = function () { copyBtn.textContent = 'Copied'; };
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).then(copied, selectOutput);
+        } else {
+            selectOutput();
+        }
+    });
+
+    // Without clipboard access the text is at least selected for Ctrl+C
+    function selectOutput() {
+        var range = document.createRange();
+        range.selectNodeContents(output);
+        var selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    downloadBtn.addEventListener('click', function () {
+        var spec = FORMATS[format];
+        var url = URL.createObjectURL(new Blob([output.textContent], { type: spec.mime }));
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = citeKey(current) + (spec.extension === 'txt' ? '-' + format : '') + '.' + spec.extension;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+    });
+
+    closeBtn.addEventListener('click', closeModal);
+    modal.addEventListener('click', function (e) {
+        if (e.target === modal) closeModal();
+    });
+    document.addEventListener('keydown', function (e) {
+        if (!modal.classList.contains('active')) return;
+        if (e.key === 'Escape') {
+            closeModal();
+        } else if (e.key === 'Tab') {
+            // Keep focus inside the dialog, as the lightbox does
+            var items = Array.prototype.slice.call(modal.querySelectorAll('button, [tabindex="0"]'));
+            var at = items.indexOf(document.activeElement);
+            var to = e.shiftKey ? (at <= 0 ? items.length - 1 : at - 1) : (at + 1) % items.length;
+            e.preventDefault();
+            items[to].focus();
+        }
+    });
+})();
+
+// Search palette: Ctrl/Cmd+K (or the navbar button) fuzzy-searches the
+// pages, publications, projects, roles, skills and photos in search.json
+(function () {
+    var palette = document.getElementById('searchPalette');
+    if (!palette) return;
+
+    var input = palette.querySelector('.search-input');
+    var list = palette.querySelector('.search-results');
+    var status = palette.querySelector('.search-status');
+    var toggle = document.getElementById('searchToggle');
+    var decoder = document.createElement('textarea');
+    var entries = null;
+    var loading = null;
+    var results = [];
+    var selected = 0;
+    var returnFocus = null;
+    var MAX_RESULTS = 20;
+
+    // The index keeps the _data files' HTML entities (&amp;, &eacute;, …)
+    function decode(text) {
+        decoder.innerHTML = text;
+        return decoder.value;
+    }
+
+    // Lowercase without accents, one character per character of the
+    // original so match positions can be highlighted in it
+    function fold(text) {
+        return text.split('').map(function (ch) {
+            return ch.normalize('NFD').charAt(0);
+        }).join('').toLowerCase();
+    }
+
+    function load() {
+        if (!loading) {
+            loading = fetch(palette.getAttribute('data-index'))
+                .then(function (res) {
+                    if (!res.ok) throw new Error('HTTP ' + res.status);
+                    return res.json();
+                })
+                .then(function (data) {
+                    entries = data.map(function (entry) {
+                        var title = decode(entry.title);
+                        var text = decode(entry.text);
+                        return { type: entry.type, title: title, text: text, url: entry.url, titleKey: fold(title), textKey: fold(text) };
+                    });
+                })
+                .catch(function () {
+                    loading = null;
+                    status.textContent = 'Search is unavailable right now.';
+                });
+        }
+        return loading;
+    }
+
+    // Scores one query word against folded text: a plain substring beats a
+    // scattered match, and matches at word starts and in runs score higher.
+    // Returns { score, positions } or null when the letters don't all appear
+    // in order (or only scattered, when that isn't allowed).
+    function matchWord(word, key, scattered) {
+        var at = key.indexOf(word);
+        if (at !== -1) {
+            var positions = [];
+            for (var i = 0; i < word.length; i++) positions.push(at + i);
+            return { score: word.length * 4 + (isWordStart(key, at) ? 6 : 0), positions: positions };
+        }
+        if (!scattered) return null;
+
+        var score = 0;
+        var from = 0;
+        var prev = -2;
+        var found = [];
+        for (var j = 0; j < word.length; j++) {
+            var pos = key.indexOf(word.charAt(j), from);
+            if (pos === -1) return null;
+            score += pos === prev + 1 ? 2 : isWordStart(key, pos) ? 1 : 0;
+            found.push(pos);
+            prev = pos;
+            from = pos + 1;
+        }
+        // Letters spread over several words are a coincidence, not a typo
+        if (found[found.length - 1] - found[0] >= word.length * 2) return null;
+        return { score: score, positions: found };
+    }
+
+    function isWordStart(key, pos) {
+        return pos === 0 || /[^a-z0-9]/.test(key.charAt(pos - 1));
+    }
+
+    // Every word has to match the title or the text; title matches count
+    // double and shorter titles win ties. Letters strewn across a long text
+    // are hardly a match, so only titles match fuzzily.
+    function search(query) {
+        var words = fold(query).split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            return entries.filter(function (entry) {
+                return entry.type === 'Page' || entry.type === 'Section';
+            }).map(function (entry) { return { entry: entry, positions: [] }; });
+        }
+
+        var scored = [];
+        entries.forEach(function (entry) {
+            var score = 0;
+            var positions = [];
+            for (var i = 0; i < words.length; i++) {
+                var inTitle = matchWord(words[i], entry.titleKey, true);
+                var inText = matchWord(words[i], entry.textKey, false);
+                if (inTitle && (!inText || inTitle.score * 2 >= inText.score)) {
+                    score += inTitle.score * 2;
+                    positions = positions.concat(inTitle.positions);
+                } else if (inText) {
+                    score += inText.score;
+                } else {
+                    return;
+                }
+            }
+            scored.push({ entry: entry, positions: positions, score: score - entry.title.length / 100 });
+        });
+        scored.sort(function (a, b) { return b.score - a.score; });
+        return scored.slice(0, MAX_RESULTS);
+    }
+
+    function highlight(el, text, positions) {
+        var marked = {};
+        positions.forEach(function (pos) { marked[pos] = true; });
+        var run = '';
+        var inMark = false;
+        function flush() {
+            if (!run) return;
+            if (inMark) {
+                var mark = document.createElement('mark');
+                mark.textContent = run;
+                el.appendChild(mark);
+            } else {
+                el.appendChild(document.createTextNode(run));
+            }
+            run = '';
+        }
+        for (var i = 0; i < text.length; i++) {
+            if (!!marked[i] !== inMark) {
+                flush();
+                inMark = !inMark;
+            }
+            run += text.charAt(i);
+        }
+        flush();
+    }
+
+    function render() {
+        if (!entries) return;
+        results = search(input.value);
+        selected = 0;
+        list.innerHTML = '';
+        results.forEach(function (result, i) {
+            var item = document.createElement('li');
+            item.className = 'search-result';
+            item.id = 'searchResult' + i;
+            item.setAttribute('role', 'option');
+
+            var type = document.createElement('span');
+            type.className = 'search-result-type';
+            type.textContent = result.entry.type;
+            var title = document.createElement('span');
+            title.className = 'search-result-title';
+            highlight(title, result.entry.title, result.positions);
+            var text = document.createElement('span');
+            text.className = 'search-result-text';
+            text.textContent = result.entry.text;
+
+            item.appendChild(type);
+            item.appendChild(title);
+            item.appendChild(text);
+            item.addEventListener('mousemove', function () {
+                if (selected !== i) select(i);
+            });
+            item.addEventListener('click', function () { go(result.entry); });
+            list.appendChild(item);
+        });
+        status.textContent = results.length === 0 ? 'No matches for “' + input.value.trim() + '”' : '';
+        select(0);
+    }
+
+    function select(index) {
+        var items = list.children;
+        if (items.length === 0) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        selected = (index + items.length) % items.length;
+        for (var i = 0; i < items.length; i++) {
+            items[i].setAttribute('aria-selected', i === selected ? 'true' : 'false');
+        }
+        input.setAttribute('aria-activedescendant', items[selected].id);
+        items[selected].scrollIntoView({ block: 'nearest' });
+    }
+
+    // Anchors on the current page are scrolled to directly, which also
+    // reopens a gallery photo whose #slug is already in the address bar
+    function go(entry) {
+        var target = new URL(entry.url, window.location.href);
+        close(false);
+        if (target.href === window.location.href) {
+            var el = target.hash && document.getElementById(decodeURIComponent(target.hash.slice(1)));
+            if (el) el.scrollIntoView();
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+            return;
+        }
+        window.location.href = target.href;
+    }
+
+    function open() {
+        returnFocus = document.activeElement;
+        palette.classList.add('active');
+        input.value = '';
+        list.innerHTML = '';
+        input.focus();
+        status.textContent = entries ? '' : 'Loading…';
+        load().then(function () {
+            if (entries && palette.classList.contains('active')) render();
+        });
+    }
+
+    function close(restoreFocus) {
+        palette.classList.remove('active');
+        if (restoreFocus !== false && returnFocus) returnFocus.focus();
+    }
+
+    input.addEventListener('input', render);
+    input.addEventListener('keydown', function (e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            select(selected + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (results[selected]) go(results[selected].entry);
+        } else if (e.key === 'Tab') {
+            // The input is the palette's only stop
+            e.preventDefault();
+        }
+    });
+
+    function isShortcut(e) {
+        return (e.key === 'k' || e.key === 'K') && (e.metaKey || e.ctrlKey) && !e.altKey;
+    }
+
+    // Keys pressed in the palette stay there, so an open lightbox behind it
+    // doesn't react to them too
+    palette.addEventListener('keydown', function (e) {
+        e.stopPropagation();
+        if (e.key === 'Escape' || isShortcut(e)) {
+            e.preventDefault();
+            close();
+        }
+    });
+    document.addEventListener('keydown', function (e) {
+        if (isShortcut(e)) {
+            e.preventDefault();
+            open();
+        }
+    });
+
+    if (toggle) toggle.addEventListener('click', open);
+    palette.addEventListener('click', function (e) {
+        if (e.target === palette) close();
+    });
+})();
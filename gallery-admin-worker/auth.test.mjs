@@ -0,0 +1,89 @@
+// Password sign-in against the per-IP attempt limit (RATE_LIMIT_MAX an hour,
+// shared with passkey sign-in): only failures may use it up, so a TOTP
+// sign-in, which takes two requests, is not locked out by earlier typos.
+// Run with
+//   node --test gallery-admin-worker/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createHmac } from 'node:crypto';
+
+const workerSource = readFileSync(new URL('./worker.js', import.meta.url), 'utf8');
+const { handleAuth, hashPassword, base32Decode, RATE_LIMIT_MAX, TOTP_PERIOD } = await import('data:text/javascript,' + encodeURIComponent(
+  workerSource + '\nexport { handleAuth, hashPassword, base32Decode, RATE_LIMIT_MAX, TOTP_PERIOD };'));
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const { hash, salt } = await hashPassword('secretpass');
+
+// In-memory stand-in for a KV namespace
+function kv() {
+  const map = new Map();
+  return {
+    map,
+    async get(key, type) {
+      const value = map.has(key) ? map.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { map.set(key, value); },
+    async delete(key) { map.delete(key); },
+  };
+}
+
+function testEnv() {
+  return {
+    ALLOWED_ORIGIN: 'https://admin.example.com',
+    JWT_SECRET: 'test-secret',
+    ADMIN_PASSWORD_HASH: hash,
+    ADMIN_PASSWORD_SALT: salt,
+    ADMIN_TOTP_SECRET: SECRET,
+    RATE_LIMIT: kv(),
+  };
+}
+
+function totpCode(step = Math.floor(Date.now() / 1000 / TOTP_PERIOD)) {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(step, 4);
+  const mac = createHmac('sha1', Buffer.from(base32Decode(SECRET))).update(counter).digest();
+  const offset = mac[19] & 0x0f;
+  return String((mac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+async function signIn(env, body) {
+  const request = new Request('https://worker.example.com/auth', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.7' },
+    body: JSON.stringify(body),
+  });
+  const res = await handleAuth(request, env);
+  return { status: res.status, data: await res.json() };
+}
+
+test('a TOTP sign-in after failed attempts still gets both of its requests', async () => {
+  const env = testEnv();
+  for (let i = 0; i < RATE_LIMIT_MAX - 1; i++) {
+    assert.equal((await signIn(env, { password: 'wrong' })).status, 401);
+  }
+
+  const first = await signIn(env, { password: 'secretpass' });
+  assert.equal(first.status, 401);
+  assert.equal(first.data.code, 'totp_required');
+
+  const second = await signIn(env, { password: 'secretpass', totp: totpCode() });
+  assert.equal(second.status, 200);
+  assert.ok(second.data.token);
+});
+
+test('a successful sign-in gives its attempt back; failures still add up', async () => {
+  const env = testEnv();
+  await signIn(env, { password: 'secretpass' });
+  assert.equal((await signIn(env, { password: 'secretpass', totp: totpCode() })).status, 200);
+  assert.equal(env.RATE_LIMIT.map.get('auth-rate:203.0.113.7'), undefined);
+
+  for (let i = 0; i < RATE_LIMIT_MAX; i++) {
+    const { status, data } = await signIn(env, { password: 'secretpass', totp: '000000' });
+    assert.equal(status, 401);
+    assert.equal(data.code, 'totp_required');
+  }
+  assert.equal((await signIn(env, { password: 'secretpass' })).status, 429);
+});
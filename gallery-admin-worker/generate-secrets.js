@@ -1,20 +1,50 @@
 #!/usr/bin/env node
 // Helper script to generate the secrets needed for the gallery-admin Worker.
-// Run: node generate-secrets.js <your-password>
+// Run: node generate-secrets.js <your-password> [--totp] [--issuer=<name>]
 //
 // It will output the values to set via:
 //   wrangler secret put ADMIN_PASSWORD_HASH
 //   wrangler secret put ADMIN_PASSWORD_SALT
 //   wrangler secret put JWT_SECRET
+//   wrangler secret put ADMIN_TOTP_SECRET   (with --totp)
 
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 const password = process.argv[2];
-if (!password) {
-  console.error('Usage: node generate-secrets.js <your-admin-password>');
+const withTotp = process.argv.includes('--totp');
+const issuerArg = process.argv.find((arg) => arg.startsWith('--issuer='));
+if (!password || password.startsWith('--')) {
+  console.error('Usage: node generate-secrets.js <your-admin-password> [--totp] [--issuer=<name>]');
   process.exit(1);
 }
 
+// Authenticator apps group codes by issuer. The Worker uses the admin's
+// hostname (ALLOWED_ORIGIN in wrangler.toml) when users turn on TOTP, so
+// ADMIN_TOTP_SECRET gets the same one unless --issuer says otherwise
+function totpIssuer() {
+  if (issuerArg) return issuerArg.slice('--issuer='.length);
+  try {
+    const config = fs.readFileSync(path.join(__dirname, 'wrangler.toml'), 'utf8');
+    const origin = config.match(/^ALLOWED_ORIGIN\s*=\s*"([^"]+)"/m);
+    if (origin) return new URL(origin[1]).hostname;
+  } catch (err) {
+    // No wrangler.toml next to the script: fall through
+  }
+  return 'Site Manager';
+}
+
+// RFC 4648 base32, the encoding authenticator apps expect for TOTP secrets
+function base32(bytes) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+  for (const byte of bytes) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+
 // Generate random salt (32 bytes)
 const salt = crypto.randomBytes(32);
 const saltHex = salt.toString('hex');
@@ -36,8 +66,20 @@ crypto.pbkdf2(password, salt, 100000, 32, 'sha256', (err, derivedKey) => {
   console.log(`  echo "${hashHex}" | wrangler secret put ADMIN_PASSWORD_HASH`);
   console.log(`  echo "${saltHex}" | wrangler secret put ADMIN_PASSWORD_SALT`);
   console.log(`  echo "${jwtSecret}" | wrangler secret put JWT_SECRET`);
+  if (withTotp) {
+    const totpSecret = base32(crypto.randomBytes(20));
+    console.log(`  echo "${totpSecret}" | wrangler secret put ADMIN_TOTP_SECRET`);
+    console.log('');
+    console.log('Add this to your authenticator app (enter the secret, or turn the URI into a QR code):');
+    console.log('');
+    const issuer = totpIssuer();
+    console.log(`  Secret: ${totpSecret}`);
+    console.log(`  URI:    otpauth://totp/${encodeURIComponent(`${issuer}:admin`)}?secret=${totpSecret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`);
+  }
+  console.log('');
+  console.log('Sign in as user "admin" with this password, then add accounts in the Users tab.');
   console.log('');
-  console.log('Then set your GitHub fine-grained PAT (Contents: read/write on etzm/etzm.github.io):');
+  console.log('Then set your GitHub fine-grained PAT (Contents + Pull requests: read/write on etzm/etzm.github.io):');
   console.log('');
   console.log('  wrangler secret put GITHUB_TOKEN');
   console.log('  (paste your token when prompted)');
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// Local storage backend for the gallery-admin Worker, for offline development
+// and CI. Serves the worker's storage interface (see "Storage backends" in
+// worker.js) from a checked-out git repo, so the whole admin panel runs end
+// to end without GitHub, a PAT or network access.
+// Run: node local-storage.js [--repo <dir>] [--branch <name>] [--port 8788]
+//
+// Then start the worker with `wrangler dev` and a .dev.vars file next to
+// wrangler.toml containing:
+//   STORAGE=local
+//   LOCAL_STORAGE_URL=http://localhost:8788
+//   ALLOWED_ORIGIN=http://localhost:4000
+// plus the secrets from generate-secrets.js (GITHUB_TOKEN is not needed).
+//
+// Changes become real commits on the branch (by default the checked-out
+// one, whose working tree is updated to match so `jekyll serve` shows
+// them). Drafts are drafts/* branches, identified by their slug. Promoting
+// a draft needs git 2.38 or later.
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+class StorageError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function createLocalStorage({ dir, branch }) {
+  function git(args, { input, env, raw } = {}) {
+    const out = execFileSync('git', args, {
+      cwd: dir,
+      input,
+      env: { ...process.env, ...identity, ...env },
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    return raw ? out : out.toString('utf8').replace(/\n$/, '');
+  }
+
+  function tryGit(args) {
+    try {
+      return git(args);
+    } catch {
+      return null;
+    }
+  }
+
+  // Commits need an author; fall back to a placeholder where git has none
+  const identity = {};
+  const configured = tryGit(['config', 'user.email']);
+  if (!configured) {
+    Object.assign(identity, {
+      GIT_AUTHOR_NAME: 'Gallery Admin', GIT_AUTHOR_EMAIL: 'gallery-admin@localhost',
+      GIT_COMMITTER_NAME: 'Gallery Admin', GIT_COMMITTER_EMAIL: 'gallery-admin@localhost',
+    });
+  }
+
+  const live = branch || git(['symbolic-ref', '--short', 'HEAD']);
+
+  // Commit SHA of a branch name or commit SHA, or null
+  function commitOf(ref) {
+    const name = /^[0-9a-f]{40}$/.test(ref) ? ref : `refs/heads/${ref}`;
+    return tryGit(['rev-parse', '--verify', '-q', `${name}^{commit}`]);
+  }
+
+  function blobAt(commit, file) {
+    return tryGit(['rev-parse', '--verify', '-q', `${commit}:${file}`]);
+  }
+
+  function readBlob(sha) {
+    if (!/^[0-9a-f]{40}$/.test(sha)) throw new StorageError(404, 'Blob not found');
+    return git(['cat-file', 'blob', sha], { raw: true }).toString('base64');
+  }
+
+  function conflict(file, current) {
+    return new StorageError(409, `${file} was changed by someone else`, { code: 'conflict', path: file, sha: current });
+  }
+
+  // Keeps the working tree of the checked-out branch in step with commits
+  // made behind its back; other local edits are left alone
+  function syncWorkTree(target, from, to) {
+    if (tryGit(['symbolic-ref', '--short', '-q', 'HEAD']) !== target) return;
+
+    const changed = git(['diff', '--name-only', '-z', from, to]).split('\0').filter(Boolean);
+    for (const file of changed) {
+      const full = path.join(dir, file);
+      const blob = blobAt(to, file);
+      if (blob) {
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, git(['cat-file', 'blob', blob], { raw: true }));
+      } else {
+        fs.rmSync(full, { force: true });
+      }
+    }
+    if (changed.length > 0) git(['reset', '-q', '--', ...changed]);
+  }
+
+  function draftFiles(draftBranch) {
+    const base = git(['merge-base', `refs/heads/${live}`, `refs/heads/${draftBranch}`]);
+    const head = commitOf(draftBranch);
+    const statuses = { A: 'added', M: 'modified', D: 'removed' };
+    const counts = {};
+    for (const line of git(['diff', '--numstat', base, head]).split('\n').filter(Boolean)) {
+      const [additions, deletions, file] = line.split('\t');
+      counts[file] = { additions: Number(additions) || 0, deletions: Number(deletions) || 0 };
+    }
+
+    return git(['diff', '--name-status', '--no-renames', base, head]).split('\n').filter(Boolean).map((line) => {
+      const [status, file] = line.split('\t');
+      const diff = git(['diff', base, head, '--', file]);
+      const hunk = diff.indexOf('\n@@');
+      return {
+        filename: file,
+        status: statuses[status[0]] || 'modified',
+        ...counts[file],
+        patch: hunk === -1 ? null : diff.slice(hunk + 1),
+      };
+    });
+  }
+
+  const store = {
+    list(folder) {
+      const head = commitOf(live);
+      return git(['ls-tree', '-l', '-z', head, '--', `${folder}/`]).split('\0').filter(Boolean)
+        .map((line) => line.match(/^\d+ (\w+) ([0-9a-f]{40}) +(\S+)\t(.*)$/s))
+        .filter((m) => m && m[1] === 'blob')
+        .map(([, , sha, size, file]) => ({ name: path.posix.basename(file), path: file, sha, size: Number(size), download_url: null }));
+    },
+
+    read(file, ref = live) {
+      const commit = commitOf(ref);
+      const sha = commit && blobAt(commit, file);
+      return sha ? { content: readBlob(sha), sha } : null;
+    },
+
+    sha(file, ref = live) {
+      const commit = commitOf(ref);
+      return (commit && blobAt(commit, file)) || null;
+    },
+
+    write(file, content, { message, sha }) {
+      const head = store.snapshot(live);
+      const current = head.files[file] || null;
+      if (sha !== undefined && sha !== current) throw conflict(file, current);
+
+      const result = store.commit(live, message, [{ path: file, action: 'put', content, encoding: 'base64' }], head.commit);
+      return { sha: result.files[file], commit: result.commit };
+    },
+
+    remove(file, { message, sha }) {
+      const head = store.snapshot(live);
+      const current = head.files[file] || null;
+      if (!current) throw new StorageError(404, `File not found: ${file}`);
+      if (sha !== undefined && sha !== current) throw conflict(file, current);
+
+      const result = store.commit(live, message, [{ path: file, action: 'delete' }], head.commit);
+      return { commit: result.commit };
+    },
+
+    snapshot(ref) {
+      const commit = commitOf(ref);
+      if (!commit) throw new StorageError(404, `Unknown ref: ${ref}`);
+
+      const files = {};
+      for (const line of git(['ls-tree', '-r', '-z', commit]).split('\0').filter(Boolean)) {
+        const [meta, file] = line.split('\t');
+        const [, type, sha] = meta.split(' ');
+        if (type === 'blob') files[file] = sha;
+      }
+      return { commit, files };
+    },
+
+    // Builds the tree in a scratch index, then moves the branch only if it
+    // still points at `parent`
+    commit(target, message, changes, parent) {
+      const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-admin-'));
+      const env = { GIT_INDEX_FILE: path.join(scratch, 'index') };
+      try {
+        git(['read-tree', parent], { env });
+        const blobs = {};
+        for (const change of changes) {
+          if (change.action === 'delete') {
+            git(['update-index', '--force-remove', '--', change.path], { env });
+            continue;
+          }
+          const sha = change.blob || git(['hash-object', '-w', '--stdin'], {
+            input: Buffer.from(change.content, change.encoding === 'base64' ? 'base64' : 'utf8'),
+          });
+          git(['update-index', '--add', '--cacheinfo', `100644,${sha},${change.path}`], { env });
+          blobs[change.path] = sha;
+        }
+
+        const tree = git(['write-tree'], { env });
+        const commit = git(['commit-tree', tree, '-p', parent, '-F', '-'], { input: message });
+        if (tryGit(['update-ref', `refs/heads/${target}`, commit, parent]) === null) {
+          throw new StorageError(409, 'The branch changed while publishing. Please try again.');
+        }
+        syncWorkTree(target, parent, commit);
+        return { commit, files: blobs };
+      } finally {
+        fs.rmSync(scratch, { recursive: true, force: true });
+      }
+    },
+
+    readBlob,
+
+    createBlob(content) {
+      return git(['hash-object', '-w', '--stdin'], { input: Buffer.from(content, 'base64') });
+    },
+
+    history(file, limit) {
+      const log = git(['log', `-n${Number(limit)}`, '--format=%H%x00%an%x00%aI%x00%B%x1e', `refs/heads/${live}`, '--', file]);
+      return log.split('\x1e').map((record) => record.replace(/^\n/, '')).filter(Boolean).map((record) => {
+        const [sha, author, date, body] = record.split('\0');
+        return { sha, message: body.trim(), author, login: null, date, url: null };
+      });
+    },
+
+    revision(sha) {
+      const commit = /^[0-9a-f]{40}$/.test(sha) && commitOf(sha);
+      if (!commit) return null;
+      return { sha: commit, parents: git(['log', '-1', '--format=%P', commit]).split(' ').filter(Boolean) };
+    },
+
+    ensureBranch(name) {
+      if (!commitOf(name)) git(['update-ref', `refs/heads/${name}`, commitOf(live), '']);
+    },
+
+    openDraft(name) {
+      return { id: name.slice('drafts/'.length), url: null };
+    },
+
+    listDrafts() {
+      const refs = git(['for-each-ref', '--format=%(refname:short)%00%(committerdate:iso-strict)', 'refs/heads/drafts/']);
+      return refs.split('\n').filter(Boolean).map((line) => {
+        const [name, updated] = line.split('\0');
+        const id = name.slice('drafts/'.length);
+        return { id, title: `Draft: ${id}`, branch: name, url: null, updated_at: updated, files: draftFiles(name) };
+      });
+    },
+
+    getDraft(id) {
+      if (!/^[a-z0-9-]+$/.test(String(id)) || !commitOf(`drafts/${id}`)) return null;
+      return { id, title: `Draft: ${id}`, branch: `drafts/${id}` };
+    },
+
+    // Squash-merges the draft onto the live branch, like the GitHub backend
+    promoteDraft(id, { title, message }) {
+      const head = commitOf(live);
+      const draft = commitOf(`drafts/${id}`);
+      let tree;
+      try {
+        tree = git(['merge-tree', '--write-tree', head, draft]).split('\n')[0];
+      } catch {
+        throw new StorageError(409, 'Draft conflicts with the live site and cannot be promoted');
+      }
+
+      const commit = git(['commit-tree', tree, '-p', head, '-m', title, '-m', message]);
+      if (tryGit(['update-ref', `refs/heads/${live}`, commit, head]) === null) {
+        throw new StorageError(409, 'The branch changed while promoting. Please try again.');
+      }
+      git(['update-ref', '-d', `refs/heads/drafts/${id}`]);
+      syncWorkTree(live, head, commit);
+      return { sha: commit };
+    },
+
+    discardDraft(id) {
+      git(['update-ref', '-d', `refs/heads/drafts/${id}`]);
+    },
+  };
+
+  return store;
+}
+
+// POST /<method> with the arguments as a JSON array → { result }, or
+// { error, details } with the error's status
+function serve(store, port) {
+  const server = http.createServer(async (req, res) => {
+    const method = req.url.slice(1);
+    let status = 200;
+    let body;
+
+    try {
+      if (req.method !== 'POST' || !Object.prototype.hasOwnProperty.call(store, method)) {
+        throw new StorageError(404, `Unknown storage method: ${method}`);
+      }
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const result = await store[method](...JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      body = { result: result === undefined ? null : result };
+    } catch (err) {
+      status = err instanceof StorageError ? err.status : 500;
+      if (status === 500) console.error(`${method} failed:`, err.message);
+      body = { error: status === 500 ? 'Local storage error' : err.message, details: err.details || {} };
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  return server.listen(port, '127.0.0.1');
+}
+
+if (require.main === module) {
+  const option = (name, fallback) => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i === -1 ? fallback : process.argv[i + 1];
+  };
+
+  const dir = path.resolve(option('repo', path.join(__dirname, '..')));
+  const port = Number(option('port', 8788));
+  const store = createLocalStorage({ dir, branch: option('branch') });
+
+  serve(store, port).on('listening', () => {
+    console.log(`Serving ${dir} as local storage on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createLocalStorage, serve };
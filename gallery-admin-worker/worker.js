@@ -1,14 +1,42 @@
 // Gallery Admin Worker — Cloudflare Worker backend for the gallery CMS
-// Handles authentication (PBKDF2 + JWT) and proxies GitHub API calls.
+// Handles authentication (PBKDF2 + JWT) and reads/writes the site repo via
+// a storage backend: the GitHub API, or a local checkout for development.
 // All secrets stored via `wrangler secret put`. Zero npm dependencies.
 
 const RATE_LIMIT_MAX = 5;
 const RATE_LIMIT_WINDOW = 3600; // 1 hour
-const JWT_EXPIRY = 2 * 60 * 60; // 2 hours
+const JWT_EXPIRY = 15 * 60; // 15 minutes; sessions continue via /refresh
+const SESSION_IDLE = 12 * 60 * 60; // 12 hours without a refresh ends a session
+const CHALLENGE_TTL = 5 * 60; // 5 minutes
+const TOTP_PERIOD = 30; // seconds
+const RECOVERY_CODE_COUNT = 10;
 const GITHUB_API = 'https://api.github.com';
+const GALLERY_PATH = '_data/gallery.yml';
+const CATEGORIES_PATH = '_data/gallery_categories.yml';
+const ALBUMS_DIR = '_albums/';
+const GALLERY_DIR = 'assets/images/gallery/';
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // 10 MB
+const MAX_IMAGE_DIMENSION = 8192; // pixels per side
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000; // 40 megapixels
+const PBKDF2_ITERATIONS = 100000;
+
+// Roles from least to most privileged: uploaders add images, editors change
+// gallery and site data, owners also manage user accounts
+const ROLES = ['uploader', 'editor', 'owner'];
+
+// Username of the bootstrap owner who signs in with ADMIN_PASSWORD_HASH
+const LEGACY_ADMIN = 'admin';
+
+// Public routes that are audited as sign-in attempts
+const AUDITED_SIGN_IN_ROUTES = ['/auth', '/auth/passkey'];
+const AUDIT_RETENTION = 365 * 24 * 60 * 60; // 1 year
+const AUDIT_METADATA_BYTES = 1024; // KV's limit for key metadata
+
+// Site data files editable via /data/:name (maps to _data/<name>.yml)
+const DATA_FILES = ['publications', 'projects', 'experience', 'roles', 'skills', 'social'];
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     // CORS preflight
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders(env.ALLOWED_ORIGIN) });
@@ -21,333 +49,2735 @@ export default {
     }
 
     const url = new URL(request.url);
-    const path = url.pathname;
+    const audit = { user: null };
+    const body = request.method === 'GET' || url.pathname === '/blobs' ? null : request.clone();
+    const response = await route(request, env, url.pathname, audit);
+
+    // Every authenticated request, and every sign-in attempt. Blob uploads
+    // are left out: the commit that publishes them is recorded instead.
+    if ((audit.user && url.pathname !== '/blobs') || AUDITED_SIGN_IN_ROUTES.includes(url.pathname)) {
+      ctx.waitUntil(recordAudit(request, url.pathname, audit, body, response.clone(), env));
+    }
+    return response;
+  },
+};
+
+// Dispatches a request; sets audit.user once the caller is authenticated
+async function route(request, env, path, audit) {
+  try {
+    // ── Public route: authentication ──────────────────────────────
+    if (path === '/auth' && request.method === 'POST') {
+      return await handleAuth(request, env);
+    }
+
+    if (path === '/refresh' && request.method === 'POST') {
+      return await refreshSession(request, env);
+    }
+
+    if (path === '/auth/config' && request.method === 'GET') {
+      return await authConfig(env);
+    }
+
+    if (path === '/auth/passkey/options' && request.method === 'POST') {
+      return await passkeyLoginOptions(env);
+    }
+
+    if (path === '/auth/passkey' && request.method === 'POST') {
+      return await passkeyLogin(request, env);
+    }
+
+    // ── All other routes require valid JWT ────────────────────────
+    const payload = await verifyJWT(request, env);
+    const user = payload && await sessionUser(payload, env);
+    if (!user) {
+      return json({ error: 'Unauthorized' }, 401, env.ALLOWED_ORIGIN);
+    }
+    audit.user = user.username;
+
+    // ── Sessions ──────────────────────────────────────────────────
+    if (path === '/logout' && request.method === 'POST') {
+      return await logout(payload, env);
+    }
+
+    if (path === '/logout-all' && request.method === 'POST') {
+      return await logoutAll(payload, user, env);
+    }
+
+    // ── Image routes ──────────────────────────────────────────────
+    if (path === '/images' && request.method === 'GET') {
+      requireRole(user, 'uploader');
+      return await listImages(env);
+    }
+
+    if (path === '/upload' && request.method === 'POST') {
+      requireRole(user, 'uploader');
+      return await uploadImage(request, user, env);
+    }
+
+    if (path === '/blobs' && request.method === 'POST') {
+      requireRole(user, 'uploader');
+      return await uploadBlob(request, new URL(request.url).searchParams.get('path'), env);
+    }
+
+    if (path === '/delete-image' && request.method === 'POST') {
+      requireRole(user, 'editor');
+      return await deleteImages(request, user, env);
+    }
+
+    // ── Gallery data routes ───────────────────────────────────────
+    if (path === '/gallery' && request.method === 'GET') {
+      requireRole(user, 'uploader');
+      return await getGallery(env);
+    }
+
+    if (path === '/gallery' && request.method === 'PUT') {
+      requireRole(user, 'editor');
+      return await updateGallery(request, user, env);
+    }
+
+    // ── Atomic multi-file commit ──────────────────────────────────
+    // Uploaders may only add images; commitChangeset checks the paths
+    if (path === '/commit' && request.method === 'POST') {
+      requireRole(user, 'uploader');
+      return await commitChangeset(request, user, env);
+    }
+
+    // ── Gallery history & rollback ────────────────────────────────
+    if (path === '/history' && request.method === 'GET') {
+      requireRole(user, 'editor');
+      return await listGalleryHistory(env);
+    }
+
+    const historyMatch = path.match(/^\/history\/([0-9a-f]{40})$/);
+    if (historyMatch && request.method === 'GET') {
+      requireRole(user, 'editor');
+      return await getGalleryRevision(historyMatch[1], env);
+    }
+
+    if (path === '/rollback' && request.method === 'POST') {
+      requireRole(user, 'editor');
+      return await rollbackGallery(request, user, env);
+    }
+
+    // ── Draft routes (branches + pull requests) ──────────────────
+    if (path === '/drafts' && request.method === 'GET') {
+      requireRole(user, 'editor');
+      return await listDrafts(env);
+    }
+
+    const draftMatch = path.match(/^\/drafts\/([a-z0-9-]+)\/(promote|discard)$/);
+    if (draftMatch && request.method === 'POST') {
+      requireRole(user, 'editor');
+      const id = draftMatch[1];
+      return draftMatch[2] === 'promote' ? await promoteDraft(id, user, env) : await discardDraft(id, env);
+    }
+
+    // ── Site data routes ──────────────────────────────────────────
+    const dataMatch = path.match(/^\/data\/([a-z_]+)$/);
+    if (dataMatch) {
+      const name = dataMatch[1];
+      if (!DATA_FILES.includes(name)) {
+        return json({ error: 'Unknown data file' }, 404, env.ALLOWED_ORIGIN);
+      }
+      requireRole(user, 'editor');
+      if (request.method === 'GET') {
+        return await getDataFile(name, env);
+      }
+      if (request.method === 'PUT') {
+        return await updateDataFile(request, name, user, env);
+      }
+    }
+
+    // ── Passkeys (own account) ────────────────────────────────────
+    if (path === '/passkeys' && request.method === 'GET') {
+      return await listPasskeys(user, env);
+    }
+
+    if (path === '/passkeys' && request.method === 'POST') {
+      return await registerPasskey(request, user, env);
+    }
+
+    if (path === '/passkeys/options' && request.method === 'POST') {
+      return await passkeyRegisterOptions(user, env);
+    }
+
+    const passkeyMatch = path.match(/^\/passkeys\/([A-Za-z0-9_-]+)$/);
+    if (passkeyMatch && request.method === 'DELETE') {
+      return await deletePasskey(passkeyMatch[1], user, env);
+    }
+
+    // ── Two-factor authentication (own account) ───────────────────
+    if (path === '/totp' && request.method === 'GET') {
+      return await getTotpStatus(user, env);
+    }
+
+    if (path === '/totp/enroll' && request.method === 'POST') {
+      return await enrollTotp(user, env);
+    }
+
+    if (path === '/totp/confirm' && request.method === 'POST') {
+      return await confirmTotp(request, user, env);
+    }
+
+    if (path === '/totp/disable' && request.method === 'POST') {
+      return await disableTotp(request, user, env);
+    }
+
+    // ── Sign-in settings (owners only) ────────────────────────────
+    if (path === '/settings') {
+      requireRole(user, 'owner');
+      if (request.method === 'GET') {
+        return json(await getAuthSettings(env), 200, env.ALLOWED_ORIGIN);
+      }
+      if (request.method === 'PUT') {
+        return await updateAuthSettings(request, user, env);
+      }
+    }
+
+    // ── Audit log (owners only) ───────────────────────────────────
+    if (path === '/audit' && request.method === 'GET') {
+      requireRole(user, 'owner');
+      return await listAudit(new URL(request.url).searchParams, env);
+    }
+
+    // ── User management (owners only) ─────────────────────────────
+    if (path === '/users') {
+      requireRole(user, 'owner');
+      if (request.method === 'GET') {
+        return await listUsers(env);
+      }
+      if (request.method === 'POST') {
+        return await createUser(request, env);
+      }
+    }
+
+    const userMatch = path.match(/^\/users\/([a-z0-9._-]+)$/);
+    if (userMatch) {
+      requireRole(user, 'owner');
+      if (request.method === 'PUT') {
+        return await updateUser(request, userMatch[1], user, env);
+      }
+      if (request.method === 'DELETE') {
+        return await deleteUser(userMatch[1], user, env);
+      }
+    }
+
+    return json({ error: 'Not found' }, 404, env.ALLOWED_ORIGIN);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return json({ error: err.message, ...err.details }, err.status, env.ALLOWED_ORIGIN);
+    }
+    console.error('Worker error:', err);
+    return json({ error: 'Internal server error' }, 500, env.ALLOWED_ORIGIN);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Authentication
+// ═══════════════════════════════════════════════════════════════════════
+
+async function handleAuth(request, env) {
+  const limited = await rateLimit(request, env);
+  if (limited) return limited;
+
+  const settings = await getAuthSettings(env);
+  if (!settings.passwordLogin) {
+    return json({ error: 'Password sign-in is turned off. Use a passkey.' }, 403, env.ALLOWED_ORIGIN);
+  }
+
+  const { username = LEGACY_ADMIN, password, totp } = await request.json();
+  if (!password) {
+    return json({ error: 'Password required' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  // Verify password via PBKDF2 (legacy single password, or a KV account)
+  const account = await findAccount(String(username).trim().toLowerCase() || LEGACY_ADMIN, env);
+  const isValid = await verifyPassword(password, account.hash, account.salt);
+  if (!isValid || !account.username) {
+    return json({ error: 'Invalid username or password' }, 401, env.ALLOWED_ORIGIN);
+  }
+
+  // Second factor, when the account has one: a TOTP code or a recovery code
+  const factor = await getTotp(account.username, env);
+  if (factor && factor.enabled) {
+    if (!totp) {
+      // The password was right, so asking for the code is not a failed attempt
+      await refundRateLimit(request, env);
+      return json({ error: 'Enter the code from your authenticator app', code: 'totp_required' }, 401, env.ALLOWED_ORIGIN);
+    }
+    if (!(await checkSecondFactor(account.username, factor, String(totp), env))) {
+      return json({ error: 'Invalid authentication code', code: 'totp_required' }, 401, env.ALLOWED_ORIGIN);
+    }
+  }
+
+  await refundRateLimit(request, env);
+  return json(await startSession(account, request, env), 200, env.ALLOWED_ORIGIN);
+}
+
+// Counts a sign-in attempt; returns a 429 response once the IP is over the limit
+async function rateLimit(request, env) {
+  if (!env.RATE_LIMIT) return null;
+
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const key = `auth-rate:${ip}`;
+  const current = await env.RATE_LIMIT.get(key);
+  const count = current ? parseInt(current, 10) : 0;
+
+  if (count >= RATE_LIMIT_MAX) {
+    return json({ error: 'Too many attempts. Try again later.' }, 429, env.ALLOWED_ORIGIN);
+  }
+  await env.RATE_LIMIT.put(key, String(count + 1), { expirationTtl: RATE_LIMIT_WINDOW });
+  return null;
+}
+
+// Takes back the attempt rateLimit counted once it turns out to have
+// succeeded, so only failures use up the limit. Password and passkey
+// sign-ins share it, and a TOTP sign-in takes two requests
+async function refundRateLimit(request, env) {
+  if (!env.RATE_LIMIT) return;
+
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const key = `auth-rate:${ip}`;
+  const count = parseInt(await env.RATE_LIMIT.get(key), 10) || 0;
+  if (count > 1) {
+    await env.RATE_LIMIT.put(key, String(count - 1), { expirationTtl: RATE_LIMIT_WINDOW });
+  } else {
+    await env.RATE_LIMIT.delete(key);
+  }
+}
+
+// Which sign-in methods the login form should offer
+async function authConfig(env) {
+  const settings = await getAuthSettings(env);
+  return json({ password: settings.passwordLogin, passkeys: !!env.USERS }, 200, env.ALLOWED_ORIGIN);
+}
+
+async function getAuthSettings(env) {
+  const stored = env.USERS ? await env.USERS.get('settings:auth', 'json') : null;
+  return { passwordLogin: true, ...stored };
+}
+
+async function updateAuthSettings(request, user, env) {
+  requireUserStore(env);
+  const { passwordLogin } = await request.json();
+
+  if (typeof passwordLogin !== 'boolean') {
+    return json({ error: 'passwordLogin (boolean) required' }, 400, env.ALLOWED_ORIGIN);
+  }
+  // Never lock out the owner who is making the change
+  if (!passwordLogin && (await userPasskeys(user.username, env)).length === 0) {
+    return json({ error: 'Register a passkey for your own account first' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  const settings = { ...(await getAuthSettings(env)), passwordLogin };
+  await env.USERS.put('settings:auth', JSON.stringify(settings));
+  return json(settings, 200, env.ALLOWED_ORIGIN);
+}
+
+// Credentials for a login. Unknown users get a random hash to check against,
+// so a wrong username costs the same PBKDF2 round as a wrong password.
+async function findAccount(username, env) {
+  if (username === LEGACY_ADMIN && env.ADMIN_PASSWORD_HASH) {
+    return { username, name: 'Admin', role: 'owner', hash: env.ADMIN_PASSWORD_HASH, salt: env.ADMIN_PASSWORD_SALT };
+  }
+
+  const stored = env.USERS ? await env.USERS.get(`user:${username}`, 'json') : null;
+  if (stored) return stored;
+
+  return { username: null, hash: bufferToHex(randomBytes(32)), salt: bufferToHex(randomBytes(32)) };
+}
+
+// Resolves a verified JWT to the current account, so role changes and
+// deleted users take effect without waiting for the token to expire
+async function sessionUser(payload, env) {
+  if (payload.sub === LEGACY_ADMIN) {
+    return env.ADMIN_PASSWORD_HASH ? { username: LEGACY_ADMIN, name: 'Admin', role: 'owner' } : null;
+  }
+
+  const stored = env.USERS ? await env.USERS.get(`user:${payload.sub}`, 'json') : null;
+  return stored && { username: stored.username, name: stored.name, role: stored.role };
+}
+
+function requireRole(user, role) {
+  if (ROLES.indexOf(user.role) < ROLES.indexOf(role)) {
+    throw new HttpError(403, 'Your role does not allow this');
+  }
+}
+
+// Trailer recording who made a change, appended to every commit message
+function attributed(message, user) {
+  return `${message}\n\nEdited-by: ${user.name} (${user.username})`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Sessions
+// A sign-in starts a session with a rotating refresh token; access JWTs are
+// short-lived and carry the session id (sid) and a unique jti. KV keys in
+// RATE_LIMIT (short-lived auth state):
+//   session:<sid>   → { username, refresh: SHA-256 hex, created_at }, idle TTL
+//   revoked:<jti>   → '1' until the token would have expired anyway
+// ═══════════════════════════════════════════════════════════════════════
+
+async function startSession(account, request, env) {
+  const sid = base64urlFromBuffer(randomBytes(16));
+  const session = {
+    username: account.username,
+    created_at: new Date().toISOString(),
+    user_agent: (request.headers.get('User-Agent') || '').slice(0, 200),
+  };
+  return issueTokens(account, sid, session, env);
+}
+
+// Signs a new access token and, with session storage, a new refresh token
+async function issueTokens(account, sid, session, env) {
+  const token = await signJWT({
+    sub: account.username,
+    name: account.name,
+    role: account.role,
+    sid,
+    jti: base64urlFromBuffer(randomBytes(16)),
+    iat: now(),
+    exp: now() + JWT_EXPIRY,
+  }, env.JWT_SECRET);
+  if (!env.RATE_LIMIT) return { token, expiresIn: JWT_EXPIRY };
+
+  const secret = base64urlFromBuffer(randomBytes(32));
+  session.refresh = await sha256Hex(secret);
+  await env.RATE_LIMIT.put(`session:${sid}`, JSON.stringify(session), { expirationTtl: SESSION_IDLE });
+  return { token, refreshToken: `${sid}.${secret}`, expiresIn: JWT_EXPIRY };
+}
+
+async function refreshSession(request, env) {
+  const { refreshToken } = await request.json();
+  const [sid, secret] = String(refreshToken || '').split('.');
+  const session = env.RATE_LIMIT && sid && secret ? await env.RATE_LIMIT.get(`session:${sid}`, 'json') : null;
+  if (!session) {
+    return json({ error: 'Session expired' }, 401, env.ALLOWED_ORIGIN);
+  }
+
+  // A refresh token that was already rotated out means it leaked: end the session
+  if (!timingSafeEqual(await sha256Hex(secret), session.refresh)) {
+    await env.RATE_LIMIT.delete(`session:${sid}`);
+    return json({ error: 'Session expired' }, 401, env.ALLOWED_ORIGIN);
+  }
+
+  const account = await sessionUser({ sub: session.username }, env);
+  if (!account) {
+    await env.RATE_LIMIT.delete(`session:${sid}`);
+    return json({ error: 'Session expired' }, 401, env.ALLOWED_ORIGIN);
+  }
+
+  return json(await issueTokens(account, sid, session, env), 200, env.ALLOWED_ORIGIN);
+}
+
+async function logout(payload, env) {
+  await revokeToken(payload, env);
+  if (env.RATE_LIMIT) await env.RATE_LIMIT.delete(`session:${payload.sid}`);
+  return json({ success: true }, 200, env.ALLOWED_ORIGIN);
+}
+
+async function logoutAll(payload, user, env) {
+  await revokeToken(payload, env);
+  const ended = await endUserSessions(user.username, env);
+  return json({ success: true, sessions: ended }, 200, env.ALLOWED_ORIGIN);
+}
+
+async function revokeToken(payload, env) {
+  if (!env.RATE_LIMIT) return;
+  // KV needs a TTL of at least 60 seconds
+  const ttl = Math.max(60, payload.exp - now());
+  await env.RATE_LIMIT.put(`revoked:${payload.jti}`, '1', { expirationTtl: ttl });
+}
+
+// Ends every session of a user; their access tokens stop working with it.
+// Walks every page of the listing: a session missed here would stay valid.
+async function endUserSessions(username, env) {
+  if (!env.RATE_LIMIT) return 0;
+  let ended = 0;
+  let cursor;
+  do {
+    const list = await env.RATE_LIMIT.list({ prefix: 'session:', cursor });
+    for (const key of list.keys) {
+      const session = await env.RATE_LIMIT.get(key.name, 'json');
+      if (session && session.username === username) {
+        await env.RATE_LIMIT.delete(key.name);
+        ended++;
+      }
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return ended;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Audit Log
+// Append-only, in the AUDIT KV namespace. Keys sort newest first
+// (audit:<inverted ms timestamp>:<random>) and each entry is also stored as
+// key metadata, so listing needs no extra reads; metadata is capped at
+// 1 KB, so long targets and errors are shortened there. Secrets in request
+// bodies (passwords, codes, file contents) are never recorded.
+// ═══════════════════════════════════════════════════════════════════════
+
+async function recordAudit(request, path, audit, body, response, env) {
+  const result = await response.json().catch(() => ({}));
+  const fields = body ? await body.json().catch(() => ({})) : {};
+
+  const entry = {
+    at: new Date().toISOString(),
+    // Failed sign-ins record whatever username was sent, however long
+    user: auditUser(audit.user || tokenSubject(result.token) || (path === '/auth' ? String(fields.username || LEGACY_ADMIN) : null)),
+    ip: request.headers.get('CF-Connecting-IP') || null,
+    method: request.method,
+    route: path.slice(0, 100),
+    target: auditTarget(path, fields),
+    commit: result.commit || null,
+    status: response.status,
+    outcome: response.status < 400 ? 'success' : 'failure',
+    error: response.status < 400 ? null : String(result.error || '').slice(0, 200),
+  };
+
+  if (!env.AUDIT) {
+    console.log('audit', JSON.stringify(entry));
+    return;
+  }
+  const key = `audit:${String(9999999999999 - Date.now()).padStart(13, '0')}:${bufferToHex(randomBytes(4))}`;
+  await env.AUDIT.put(key, JSON.stringify(entry), { metadata: auditMetadata(entry), expirationTtl: AUDIT_RETENTION });
+}
+
+function auditUser(user) {
+  return user == null ? null : String(user).slice(0, 64);
+}
+
+// The entry, with its error and then its target cut short until it fits
+// KV's metadata limit (each character cut saves at least one byte)
+function auditMetadata(entry) {
+  const metadata = { ...entry };
+  for (const field of ['error', 'target']) {
+    const over = new TextEncoder().encode(JSON.stringify(metadata)).length - AUDIT_METADATA_BYTES;
+    if (over <= 0) break;
+    if (metadata[field]) metadata[field] = metadata[field].slice(0, Math.max(0, metadata[field].length - over - 3)) + '…';
+  }
+  return metadata;
+}
+
+// File or object a request acted on, from its path and (non-secret) body fields
+function auditTarget(path, fields) {
+  let target = null;
+  if (path === '/commit') {
+    const files = [...(fields.add || []), ...(fields.modify || []), ...(fields.delete || [])];
+    target = files.map((f) => (typeof f === 'string' ? f : f.path)).join(', ');
+    if (fields.draft) target += ` (draft: ${fields.draft})`;
+  } else if (path === '/upload') {
+    target = `${GALLERY_DIR}${fields.filename}`;
+  } else if (path === '/delete-image') {
+    const files = Array.isArray(fields.files) ? fields.files : [fields];
+    target = files.map((f) => `${GALLERY_DIR}${f && f.filename}`).join(', ');
+  } else if (path === '/gallery' || path === '/history') {
+    target = GALLERY_PATH;
+  } else if (path === '/rollback') {
+    target = `${GALLERY_PATH} @ ${String(fields.sha).slice(0, 7)}`;
+  } else if (path === '/users' && fields.username) {
+    target = `user ${fields.username}`;
+  } else {
+    const match = path.match(/^\/(data|drafts|users|history)\/([^/]+)/);
+    if (match) target = match[1] === 'data' ? `_data/${match[2]}.yml` : `${match[1].replace(/s$/, '')} ${match[2]}`;
+  }
+  return target && target.slice(0, 300);
+}
+
+function tokenSubject(token) {
+  if (!token) return null;
+  try {
+    return JSON.parse(new TextDecoder().decode(base64urlToBuffer(token.split('.')[1]))).sub;
+  } catch {
+    return null;
+  }
+}
+
+// Newest first. Filters: user, route (prefix), outcome, from/to (ISO dates).
+// Returns at most `limit` entries and scans up to 10 KV pages per call; pass
+// the returned cursor to continue.
+async function listAudit(params, env) {
+  if (!env.AUDIT) {
+    return json({ entries: [], cursor: null, enabled: false }, 200, env.ALLOWED_ORIGIN);
+  }
+
+  const limit = Math.min(parseInt(params.get('limit'), 10) || 50, 200);
+  const filters = {
+    user: params.get('user'),
+    route: params.get('route'),
+    outcome: params.get('outcome'),
+    from: params.get('from'),
+    to: params.get('to'),
+  };
+
+  const entries = [];
+  let { page: cursor, after } = decodeAuditCursor(params.get('cursor'));
+  let next = null;
+  for (let page = 0; page < 10 && !next; page++) {
+    const list = await env.AUDIT.list({ prefix: 'audit:', cursor: cursor || undefined, limit: 100 });
+    for (const key of list.keys) {
+      if (after && key.name <= after) continue;
+      if (key.metadata && matchesAudit(key.metadata, filters)) {
+        entries.push({ id: key.name, ...key.metadata });
+        // Full: the next call rereads this page from just after this key
+        if (entries.length === limit) {
+          next = { page: cursor, after: key.name };
+          break;
+        }
+      }
+    }
+    if (next) break;
+
+    after = null;
+    cursor = list.list_complete ? null : list.cursor;
+    if (!cursor) break;
+    // Entries are newest first, so nothing older than `from` can match
+    const oldest = list.keys.length ? list.keys[list.keys.length - 1].metadata : null;
+    if (filters.from && oldest && oldest.at < filters.from) break;
+    next = page === 9 ? { page: cursor, after: null } : null;
+  }
+
+  return json({ entries, cursor: next ? btoa(JSON.stringify(next)) : null, enabled: true }, 200, env.ALLOWED_ORIGIN);
+}
+
+// The cursor names the KV page to read (null for the first) and the last key
+// already returned from it
+function decodeAuditCursor(value) {
+  if (!value) return { page: null, after: null };
+  try {
+    const { page, after } = JSON.parse(atob(value));
+    return { page: page || null, after: after || null };
+  } catch {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+}
+
+function matchesAudit(entry, filters) {
+  if (filters.user && entry.user !== filters.user) return false;
+  if (filters.route && !entry.route.startsWith(filters.route)) return false;
+  if (filters.outcome && entry.outcome !== filters.outcome) return false;
+  if (filters.from && entry.at < filters.from) return false;
+  // `to` is a date: include the whole day
+  if (filters.to && entry.at.slice(0, 10) > filters.to) return false;
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// User Management (KV: user:<username> → { username, name, role, hash, salt })
+// ═══════════════════════════════════════════════════════════════════════
+
+async function listUsers(env) {
+  const users = [];
+  if (env.USERS) {
+    let cursor;
+    do {
+      const list = await env.USERS.list({ prefix: 'user:', cursor });
+      for (const key of list.keys) {
+        const stored = await env.USERS.get(key.name, 'json');
+        if (stored) users.push(publicUser(stored));
+      }
+      cursor = list.list_complete ? undefined : list.cursor;
+    } while (cursor);
+  }
+  if (env.ADMIN_PASSWORD_HASH) {
+    users.unshift({ username: LEGACY_ADMIN, name: 'Admin', role: 'owner', legacy: true });
+  }
+
+  return json(users, 200, env.ALLOWED_ORIGIN);
+}
+
+async function createUser(request, env) {
+  requireUserStore(env);
+  const { username, name, role, password } = await request.json();
+
+  if (typeof username !== 'string' || !/^[a-z0-9][a-z0-9._-]{1,31}$/.test(username) || username === LEGACY_ADMIN) {
+    return json({ error: 'Username must be 2–32 lowercase letters, digits, dots, dashes or underscores' }, 400, env.ALLOWED_ORIGIN);
+  }
+  const invalid = validateUserFields({ name, role, password }, true);
+  if (invalid) {
+    return json({ error: invalid }, 400, env.ALLOWED_ORIGIN);
+  }
+  if (await env.USERS.get(`user:${username}`)) {
+    return json({ error: 'User already exists' }, 409, env.ALLOWED_ORIGIN);
+  }
+
+  const stored = { username, name: name.trim(), role, ...(await hashPassword(password)), created_at: new Date().toISOString() };
+  await env.USERS.put(`user:${username}`, JSON.stringify(stored));
+  return json(publicUser(stored), 201, env.ALLOWED_ORIGIN);
+}
+
+async function updateUser(request, username, user, env) {
+  requireUserStore(env);
+  const stored = await env.USERS.get(`user:${username}`, 'json');
+  if (!stored) {
+    return json({ error: 'User not found' }, 404, env.ALLOWED_ORIGIN);
+  }
+
+  const { name, role, password } = await request.json();
+  const invalid = validateUserFields({ name, role, password }, false);
+  if (invalid) {
+    return json({ error: invalid }, 400, env.ALLOWED_ORIGIN);
+  }
+  if (role !== undefined && role !== stored.role && username === user.username) {
+    return json({ error: 'You cannot change your own role' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  if (name !== undefined) stored.name = name.trim();
+  if (role !== undefined) stored.role = role;
+  if (password !== undefined) Object.assign(stored, await hashPassword(password));
+  await env.USERS.put(`user:${username}`, JSON.stringify(stored));
+  if (password !== undefined || role !== undefined) await endUserSessions(username, env);
+  return json(publicUser(stored), 200, env.ALLOWED_ORIGIN);
+}
+
+async function deleteUser(username, user, env) {
+  requireUserStore(env);
+  if (username === user.username) {
+    return json({ error: 'You cannot delete your own account' }, 400, env.ALLOWED_ORIGIN);
+  }
+  if (!(await env.USERS.get(`user:${username}`))) {
+    return json({ error: 'User not found' }, 404, env.ALLOWED_ORIGIN);
+  }
+
+  await env.USERS.delete(`user:${username}`);
+  await env.USERS.delete(`totp:${username}`);
+  await endUserSessions(username, env);
+  for (const passkey of await userPasskeys(username, env)) {
+    await env.USERS.delete(`passkey:${passkey.id}`);
+  }
+  return json({ success: true }, 200, env.ALLOWED_ORIGIN);
+}
+
+// Returns an error message, or null when the given fields are valid
+function validateUserFields({ name, role, password }, required) {
+  if ((required || name !== undefined) && (typeof name !== 'string' || !name.trim())) return 'Name required';
+  if ((required || role !== undefined) && !ROLES.includes(role)) return `Role must be one of: ${ROLES.join(', ')}`;
+  if ((required || password !== undefined) && (typeof password !== 'string' || password.length < 10)) {
+    return 'Password must be at least 10 characters';
+  }
+  return null;
+}
+
+function requireUserStore(env) {
+  if (!env.USERS) throw new HttpError(501, 'User accounts need the USERS KV namespace (see wrangler.toml)');
+}
+
+function publicUser(stored) {
+  return { username: stored.username, name: stored.name, role: stored.role, created_at: stored.created_at };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Passkeys (WebAuthn)
+// Discoverable ES256/RS256 credentials, verified with Web Crypto. KV keys:
+//   passkey:<credential id>  → { id, username, name, jwk, alg, counter, ... }
+//                              with { username } as list metadata
+//   challenge:<challenge>    → { type, username }, single use, 5 min TTL
+// ═══════════════════════════════════════════════════════════════════════
+
+async function passkeyRegisterOptions(user, env) {
+  requireUserStore(env);
+  const existing = await userPasskeys(user.username, env);
+  const challenge = await createChallenge(env, { type: 'webauthn.create', username: user.username });
+
+  return json({
+    challenge,
+    rp: { name: 'Site Manager', id: rpId(env) },
+    user: { id: base64url(user.username), name: user.username, displayName: user.name },
+    pubKeyCredParams: [{ type: 'public-key', alg: -7 }, { type: 'public-key', alg: -257 }],
+    authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+    excludeCredentials: existing.map((p) => ({ type: 'public-key', id: p.id })),
+    attestation: 'none',
+    timeout: CHALLENGE_TTL * 1000,
+  }, 200, env.ALLOWED_ORIGIN);
+}
+
+async function registerPasskey(request, user, env) {
+  requireUserStore(env);
+  const { name, credential } = await request.json();
+  if (!credential || !credential.response) {
+    return json({ error: 'credential required' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  const challenge = await consumeClientData(env, credential.response.clientDataJSON, 'webauthn.create');
+  if (challenge.username !== user.username) {
+    return json({ error: 'Passkey challenge belongs to another account' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  const attestation = decodeCbor(new Uint8Array(base64urlToBuffer(credential.response.attestationObject))).value;
+  const auth = await parseAuthData(env, attestation.authData);
+  const jwk = auth.publicKey && coseToJwk(auth.publicKey);
+  if (!auth.credentialId || !jwk) {
+    return json({ error: 'Unsupported passkey (needs ES256 or RS256)' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  const passkey = {
+    id: auth.credentialId,
+    username: user.username,
+    name: String(name || 'Passkey').trim().slice(0, 60) || 'Passkey',
+    jwk,
+    alg: auth.publicKey[3],
+    counter: auth.counter,
+    created_at: new Date().toISOString(),
+  };
+  await env.USERS.put(`passkey:${passkey.id}`, JSON.stringify(passkey), { metadata: { username: passkey.username } });
+  return json(publicPasskey(passkey), 201, env.ALLOWED_ORIGIN);
+}
+
+async function listPasskeys(user, env) {
+  const passkeys = env.USERS ? await userPasskeys(user.username, env) : [];
+  return json(passkeys.map(publicPasskey), 200, env.ALLOWED_ORIGIN);
+}
+
+async function deletePasskey(id, user, env) {
+  requireUserStore(env);
+  const passkey = await env.USERS.get(`passkey:${id}`, 'json');
+  if (!passkey || passkey.username !== user.username) {
+    return json({ error: 'Passkey not found' }, 404, env.ALLOWED_ORIGIN);
+  }
+
+  const settings = await getAuthSettings(env);
+  if (!settings.passwordLogin && (await userPasskeys(user.username, env)).length === 1) {
+    return json({ error: 'Password sign-in is off; keep at least one passkey' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  await env.USERS.delete(`passkey:${id}`);
+  return json({ success: true }, 200, env.ALLOWED_ORIGIN);
+}
+
+async function passkeyLoginOptions(env) {
+  requireUserStore(env);
+  const challenge = await createChallenge(env, { type: 'webauthn.get' });
+  return json({
+    challenge,
+    rpId: rpId(env),
+    userVerification: 'required',
+    timeout: CHALLENGE_TTL * 1000,
+  }, 200, env.ALLOWED_ORIGIN);
+}
+
+async function passkeyLogin(request, env) {
+  const limited = await rateLimit(request, env);
+  if (limited) return limited;
+
+  requireUserStore(env);
+  const { credential } = await request.json();
+  if (!credential || !credential.response) {
+    return json({ error: 'credential required' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  await consumeClientData(env, credential.response.clientDataJSON, 'webauthn.get');
+  const passkey = await env.USERS.get(`passkey:${credential.id}`, 'json');
+  if (!passkey) {
+    return json({ error: 'Unknown passkey' }, 401, env.ALLOWED_ORIGIN);
+  }
+
+  // The authenticator signs authenticatorData ‖ SHA-256(clientDataJSON)
+  const authData = new Uint8Array(base64urlToBuffer(credential.response.authenticatorData));
+  const auth = await parseAuthData(env, authData);
+  const clientHash = new Uint8Array(await crypto.subtle.digest('SHA-256', base64urlToBuffer(credential.response.clientDataJSON)));
+  const signed = new Uint8Array(authData.length + clientHash.length);
+  signed.set(authData);
+  signed.set(clientHash, authData.length);
+
+  const signature = new Uint8Array(base64urlToBuffer(credential.response.signature));
+  if (!(await verifyPasskeySignature(passkey, signed, signature))) {
+    return json({ error: 'Passkey verification failed' }, 401, env.ALLOWED_ORIGIN);
+  }
+  // A signature counter that does not advance points to a cloned authenticator
+  if ((auth.counter !== 0 || passkey.counter !== 0) && auth.counter <= passkey.counter) {
+    return json({ error: 'Passkey verification failed' }, 401, env.ALLOWED_ORIGIN);
+  }
+
+  const account = await sessionUser({ sub: passkey.username }, env);
+  if (!account) {
+    return json({ error: 'Account no longer exists' }, 401, env.ALLOWED_ORIGIN);
+  }
+
+  passkey.counter = auth.counter;
+  passkey.last_used_at = new Date().toISOString();
+  await env.USERS.put(`passkey:${passkey.id}`, JSON.stringify(passkey), { metadata: { username: passkey.username } });
+
+  await refundRateLimit(request, env);
+  return json(await startSession(account, request, env), 200, env.ALLOWED_ORIGIN);
+}
+
+async function userPasskeys(username, env) {
+  const passkeys = [];
+  let cursor;
+  do {
+    const list = await env.USERS.list({ prefix: 'passkey:', cursor });
+    for (const key of list.keys) {
+      // Passkeys saved before the metadata was added have to be read
+      if (key.metadata && key.metadata.username !== username) continue;
+      const passkey = await env.USERS.get(key.name, 'json');
+      if (passkey && passkey.username === username) passkeys.push(passkey);
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return passkeys;
+}
+
+function publicPasskey(passkey) {
+  return { id: passkey.id, name: passkey.name, created_at: passkey.created_at, last_used_at: passkey.last_used_at || null };
+}
+
+function rpId(env) {
+  return new URL(env.ALLOWED_ORIGIN).hostname;
+}
+
+async function createChallenge(env, data) {
+  const challenge = base64urlFromBuffer(randomBytes(32));
+  await env.USERS.put(`challenge:${challenge}`, JSON.stringify(data), { expirationTtl: CHALLENGE_TTL });
+  return challenge;
+}
+
+// Checks clientDataJSON against this site and consumes the challenge it answers
+async function consumeClientData(env, clientDataJSON, type) {
+  const clientData = JSON.parse(new TextDecoder().decode(base64urlToBuffer(clientDataJSON)));
+  if (clientData.type !== type || clientData.origin !== env.ALLOWED_ORIGIN) {
+    throw new HttpError(400, 'Passkey response is not for this site');
+  }
+
+  const key = `challenge:${clientData.challenge}`;
+  const data = await env.USERS.get(key, 'json');
+  if (!data || data.type !== type) {
+    throw new HttpError(400, 'Passkey request expired. Please try again.');
+  }
+  await env.USERS.delete(key);
+  return data;
+}
+
+// authenticatorData: rpIdHash(32) flags(1) counter(4) [aaguid(16) idLen(2) id cosePublicKey]
+async function parseAuthData(env, bytes) {
+  const expected = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(rpId(env))));
+  if (!timingSafeEqual(bufferToHex(bytes.slice(0, 32)), bufferToHex(expected))) {
+    throw new HttpError(400, 'Passkey belongs to a different site');
+  }
+
+  const flags = bytes[32];
+  if (!(flags & 0x01) || !(flags & 0x04)) {
+    throw new HttpError(400, 'Passkey did not verify the user');
+  }
+
+  const result = { counter: new DataView(bytes.buffer, bytes.byteOffset + 33, 4).getUint32(0) };
+  if (flags & 0x40) {
+    const idLength = (bytes[53] << 8) | bytes[54];
+    result.credentialId = base64urlFromBuffer(bytes.slice(55, 55 + idLength));
+    result.publicKey = decodeCbor(bytes, 55 + idLength).value;
+  }
+  return result;
+}
+
+function coseToJwk(cose) {
+  if (cose[3] === -7 && cose[1] === 2 && cose[-1] === 1) {
+    return { kty: 'EC', crv: 'P-256', x: base64urlFromBuffer(cose[-2]), y: base64urlFromBuffer(cose[-3]) };
+  }
+  if (cose[3] === -257 && cose[1] === 3) {
+    return { kty: 'RSA', n: base64urlFromBuffer(cose[-1]), e: base64urlFromBuffer(cose[-2]) };
+  }
+  return null;
+}
+
+async function verifyPasskeySignature(passkey, data, signature) {
+  if (passkey.alg === -7) {
+    const key = await crypto.subtle.importKey('jwk', passkey.jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), data);
+  }
+  const key = await crypto.subtle.importKey('jwk', passkey.jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+  return crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, data);
+}
+
+// WebAuthn ECDSA signatures are DER SEQUENCE { r, s }; Web Crypto wants r ‖ s
+function derToRawSignature(der) {
+  const raw = new Uint8Array(64);
+  let offset = der[1] & 0x80 ? 2 + (der[1] & 0x7f) : 2;
+  for (let i = 0; i < 2; i++) {
+    const length = der[offset + 1];
+    let int = der.slice(offset + 2, offset + 2 + length);
+    while (int.length > 32 && int[0] === 0) int = int.slice(1);
+    raw.set(int, 32 * (i + 1) - int.length);
+    offset += 2 + length;
+  }
+  return raw;
+}
+
+// Minimal CBOR decoder (RFC 8949) for attestation objects and COSE keys:
+// integers, byte/text strings, arrays, maps and simple values
+function decodeCbor(bytes, offset = 0) {
+  const initial = bytes[offset++];
+  const major = initial >> 5;
+  let length = initial & 0x1f;
+  if (length === 24) {
+    length = bytes[offset++];
+  } else if (length === 25) {
+    length = (bytes[offset] << 8) | bytes[offset + 1];
+    offset += 2;
+  } else if (length === 26) {
+    length = new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getUint32(0);
+    offset += 4;
+  } else if (length > 26) {
+    throw new HttpError(400, 'Unsupported CBOR data');
+  }
+
+  switch (major) {
+    case 0: return { value: length, offset };
+    case 1: return { value: -1 - length, offset };
+    case 2: return { value: bytes.slice(offset, offset + length), offset: offset + length };
+    case 3: return { value: new TextDecoder().decode(bytes.slice(offset, offset + length)), offset: offset + length };
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(bytes, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const map = {};
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(bytes, offset);
+        const value = decodeCbor(bytes, key.offset);
+        map[key.value] = value.value;
+        offset = value.offset;
+      }
+      return { value: map, offset };
+    }
+    case 7: return { value: length === 21 ? true : length === 20 ? false : null, offset };
+    default: throw new HttpError(400, 'Unsupported CBOR data');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Two-factor authentication (RFC 6238 TOTP, HMAC-SHA1, 6 digits, 30 s)
+// KV keys:
+//   totp:<username>           → { secret, enabled, recovery: [SHA-256 hex] }
+//   totp-last:<username>      → last accepted time step (RATE_LIMIT, replay guard)
+// The "admin" account may instead use ADMIN_TOTP_SECRET from generate-secrets.js.
+// ═══════════════════════════════════════════════════════════════════════
+
+async function getTotp(username, env) {
+  const stored = env.USERS ? await env.USERS.get(`totp:${username}`, 'json') : null;
+  if (stored) return stored;
+  if (username === LEGACY_ADMIN && env.ADMIN_TOTP_SECRET) {
+    return { secret: env.ADMIN_TOTP_SECRET, enabled: true, recovery: [], fromEnv: true };
+  }
+  return null;
+}
+
+async function getTotpStatus(user, env) {
+  const factor = await getTotp(user.username, env);
+  return json({
+    enabled: !!(factor && factor.enabled),
+    fromEnv: !!(factor && factor.fromEnv),
+    recoveryCodesLeft: factor && factor.enabled ? factor.recovery.length : 0,
+  }, 200, env.ALLOWED_ORIGIN);
+}
+
+// Starts enrollment with a fresh secret; it only counts once confirmed
+async function enrollTotp(user, env) {
+  requireUserStore(env);
+  const current = await getTotp(user.username, env);
+  if (current && current.enabled) {
+    return json({ error: 'Two-factor authentication is already on' }, 409, env.ALLOWED_ORIGIN);
+  }
+
+  const secret = base32Encode(randomBytes(20));
+  await env.USERS.put(`totp:${user.username}`, JSON.stringify({ secret, enabled: false, recovery: [] }));
+
+  const issuer = rpId(env);
+  const uri = `otpauth://totp/${encodeURIComponent(`${issuer}:${user.username}`)}` +
+    `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${TOTP_PERIOD}`;
+  const qr = `data:image/svg+xml;base64,${btoa(qrSvg(uri))}`;
+
+  return json({ secret, uri, qr }, 200, env.ALLOWED_ORIGIN);
+}
+
+// First valid code turns TOTP on and hands out the recovery codes, once
+async function confirmTotp(request, user, env) {
+  requireUserStore(env);
+  const { code } = await request.json();
+  const factor = await getTotp(user.username, env);
+
+  if (!factor || factor.enabled || factor.fromEnv) {
+    return json({ error: 'Start two-factor setup first' }, 400, env.ALLOWED_ORIGIN);
+  }
+  if (!(await checkSecondFactor(user.username, factor, String(code || ''), env))) {
+    return json({ error: 'Invalid authentication code' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = bufferToHex(randomBytes(5));
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  factor.enabled = true;
+  factor.recovery = await Promise.all(recoveryCodes.map(sha256Hex));
+  await env.USERS.put(`totp:${user.username}`, JSON.stringify(factor));
+
+  return json({ recoveryCodes }, 200, env.ALLOWED_ORIGIN);
+}
+
+async function disableTotp(request, user, env) {
+  requireUserStore(env);
+  const { code } = await request.json();
+  const factor = await getTotp(user.username, env);
+
+  if (!factor || !factor.enabled) {
+    return json({ error: 'Two-factor authentication is not on' }, 400, env.ALLOWED_ORIGIN);
+  }
+  if (factor.fromEnv) {
+    return json({ error: 'Remove the ADMIN_TOTP_SECRET worker secret to turn this off' }, 400, env.ALLOWED_ORIGIN);
+  }
+  if (!(await checkSecondFactor(user.username, factor, String(code || ''), env))) {
+    return json({ error: 'Invalid authentication code' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  await env.USERS.delete(`totp:${user.username}`);
+  return json({ success: true }, 200, env.ALLOWED_ORIGIN);
+}
+
+// Accepts a 6-digit code within ±1 step that is newer than the last one
+// used, or an unused recovery code (which is then spent)
+async function checkSecondFactor(username, factor, code, env) {
+  const digits = code.replace(/\s+/g, '');
+  if (/^\d{6}$/.test(digits)) {
+    const step = await matchTotp(factor.secret, digits);
+    if (step === null) return false;
+
+    if (env.RATE_LIMIT) {
+      const lastKey = `totp-last:${username}`;
+      const last = await env.RATE_LIMIT.get(lastKey);
+      if (last && step <= parseInt(last, 10)) return false;
+      await env.RATE_LIMIT.put(lastKey, String(step), { expirationTtl: 3 * TOTP_PERIOD + 60 });
+    }
+    return true;
+  }
 
-    try {
-      // ── Public route: authentication ──────────────────────────────
-      if (path === '/auth' && request.method === 'POST') {
-        return await handleAuth(request, env);
+  const hash = await sha256Hex(code.trim().toLowerCase());
+  const index = factor.recovery.indexOf(hash);
+  if (index === -1) return false;
+
+  factor.recovery.splice(index, 1);
+  await env.USERS.put(`totp:${username}`, JSON.stringify(factor));
+  return true;
+}
+
+// Time step the code belongs to, or null if it matches none within ±1 step
+async function matchTotp(secret, code) {
+  const current = Math.floor(now() / TOTP_PERIOD);
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+
+  let match = null;
+  for (const step of [current - 1, current, current + 1]) {
+    const counter = new Uint8Array(8);
+    new DataView(counter.buffer).setUint32(4, step);
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+    const offset = mac[19] & 0x0f;
+    const value = (((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3]) % 1000000;
+    if (timingSafeEqual(String(value).padStart(6, '0'), code)) match = step;
+  }
+  return match;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// QR Code (SVG)
+// Byte mode, error correction level M, versions 1–10 (up to 213 bytes),
+// which covers otpauth:// URIs. Returned as an SVG so the admin can show it
+// as a data: image under its CSP.
+// ═══════════════════════════════════════════════════════════════════════
+
+// Per version: [EC codewords per block, [blocks, data codewords per block], ...]
+const QR_BLOCKS = [null,
+  [10, [1, 16]], [16, [1, 28]], [26, [1, 44]], [18, [2, 32]], [24, [2, 43]],
+  [16, [4, 27]], [18, [4, 31]], [22, [2, 38], [2, 39]], [22, [3, 36], [2, 37]], [26, [4, 43], [1, 44]],
+];
+const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+function qrSvg(text) {
+  const modules = qrMatrix(new TextEncoder().encode(text));
+  const size = modules.length + 8; // 4-module quiet zone
+  let path = '';
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + 4} ${y + 4}h1v1h-1z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+    `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+function qrMatrix(bytes) {
+  const dataCapacity = (v) => QR_BLOCKS[v].slice(1).reduce((n, [count, length]) => n + count * length, 0);
+  let version = 1;
+  while (version <= 10 && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(version) * 8) version++;
+  if (version > 10) throw new Error('QR payload too long');
+
+  // Mode indicator, length, data, terminator, then alternating pad bytes
+  const capacity = dataCapacity(version);
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((b) => push(b, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  while (bits.length % 8) bits.push(0);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  // Split into blocks, append Reed–Solomon codewords, interleave
+  const [ecLength, ...groups] = QR_BLOCKS[version];
+  const blocks = [];
+  let offset = 0;
+  for (const [count, length] of groups) {
+    for (let i = 0; i < count; i++, offset += length) blocks.push(data.slice(offset, offset + length));
+  }
+  const divisor = reedSolomonDivisor(ecLength);
+  const ecBlocks = blocks.map((block) => reedSolomonRemainder(block, divisor));
+  const codewords = [];
+  for (let i = 0; i < blocks[blocks.length - 1].length; i++) {
+    blocks.forEach((block) => { if (i < block.length) codewords.push(block[i]); });
+  }
+  for (let i = 0; i < ecLength; i++) ecBlocks.forEach((block) => codewords.push(block[i]));
+
+  // Function patterns
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for (const [fx, fy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = fx + dx;
+        const y = fy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, ring !== 2 && ring !== 4);
+      }
+    }
+  }
+  const centers = QR_ALIGNMENT[version];
+  const last = centers.length - 1;
+  centers.forEach((cx, i) => centers.forEach((cy, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  drawQrFormat(set, size, 0); // reserve the format areas
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const info = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((info >>> i) & 1) === 1;
+      set(size - 11 + (i % 3), Math.floor(i / 3), dark);
+      set(Math.floor(i / 3), size - 11 + (i % 3), dark);
+    }
+  }
+
+  // Codewords zigzag up and down two-module columns from the bottom right
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (reserved[y][x]) continue;
+        modules[y][x] = bit < codewords.length * 8 && ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+        bit++;
+      }
+    }
+  }
+
+  // Apply the mask with the lowest penalty
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const candidate = modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== QR_MASKS[mask](x, y))));
+    drawQrFormat((x, y, dark) => { candidate[y][x] = dark; }, size, mask);
+    const penalty = qrPenalty(candidate);
+    if (!best || penalty < best.penalty) best = { modules: candidate, penalty };
+  }
+  return best.modules;
+}
+
+// 15 format bits (level M, mask) in both copies, plus the dark module
+function drawQrFormat(set, size, mask) {
+  let rem = mask;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const format = ((mask << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((format >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+// ISO 18004 mask penalty: runs, 2×2 blocks, finder look-alikes, dark balance
+function qrPenalty(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+
+  let penalty = 0;
+  for (const line of lines) {
+    for (let i = 0, run = 1; i < size; i++, run++) {
+      if (i === size - 1 || line[i] !== line[i + 1]) {
+        if (run >= 5) penalty += run - 2;
+        run = 0;
       }
+    }
+    const text = line.map((dark) => (dark ? '1' : '0')).join('');
+    penalty += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+  }
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+    }
+  }
+  const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+  penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+  return penalty;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// PBKDF2 Password Verification
+// ═══════════════════════════════════════════════════════════════════════
+
+async function verifyPassword(password, storedHashHex, saltHex) {
+  const derivedHex = await derivePasswordHash(password, saltHex);
+  return timingSafeEqual(derivedHex, storedHashHex);
+}
+
+async function hashPassword(password) {
+  const salt = bufferToHex(randomBytes(32));
+  return { hash: await derivePasswordHash(password, salt), salt };
+}
+
+async function derivePasswordHash(password, saltHex) {
+  const enc = new TextEncoder();
+  const salt = hexToBuffer(saltHex);
+
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw', enc.encode(password), 'PBKDF2', false, ['deriveBits']
+  );
+
+  const derivedBits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    keyMaterial,
+    256
+  );
+
+  return bufferToHex(new Uint8Array(derivedBits));
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// JWT (HS256 via Web Crypto API)
+// ═══════════════════════════════════════════════════════════════════════
+
+async function signJWT(payload, secretHex) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const encodedHeader = base64url(JSON.stringify(header));
+  const encodedPayload = base64url(JSON.stringify(payload));
+  const signingInput = encodedHeader + '.' + encodedPayload;
+
+  const key = await crypto.subtle.importKey(
+    'raw', hexToBuffer(secretHex), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(signingInput));
+  const encodedSig = base64urlFromBuffer(new Uint8Array(sig));
+
+  return signingInput + '.' + encodedSig;
+}
+
+async function verifyJWT(request, env) {
+  const auth = request.headers.get('Authorization');
+  if (!auth || !auth.startsWith('Bearer ')) return null;
+
+  const token = auth.slice(7);
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const signingInput = parts[0] + '.' + parts[1];
+  const signature = base64urlToBuffer(parts[2]);
+
+  const key = await crypto.subtle.importKey(
+    'raw', hexToBuffer(env.JWT_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
+  );
+
+  const valid = await crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(signingInput));
+  if (!valid) return null;
+
+  const payload = JSON.parse(new TextDecoder().decode(base64urlToBuffer(parts[1])));
+  if (payload.exp && payload.exp < now()) return null;
+  if (!payload.jti || !payload.sid) return null;
+
+  // Revoked by /logout, or its session was ended (sign out everywhere,
+  // password change, deleted account)
+  if (env.RATE_LIMIT) {
+    const [revoked, session] = await Promise.all([
+      env.RATE_LIMIT.get(`revoked:${payload.jti}`),
+      env.RATE_LIMIT.get(`session:${payload.sid}`),
+    ]);
+    if (revoked || !session) return null;
+  }
+
+  return payload;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Upload validation
+// ═══════════════════════════════════════════════════════════════════════
+
+const IMAGE_FORMATS = {
+  jpeg: { extensions: ['jpg', 'jpeg'], size: jpegSize },
+  png: { extensions: ['png'], size: pngSize },
+  webp: { extensions: ['webp'], size: webpSize },
+};
+
+// Validates a list of { path, action, content, encoding } image changes and
+// returns their normalized paths. Throws one 400 listing every rejected file
+// as { path, code, error } so the admin can flag each in its upload queue.
+// Changes reusing a blob from /blobs were checked on upload; their receipts
+// are verified by checkBlobReceipts.
+function checkUploads(changes) {
+  const errors = [];
+  const paths = changes.map((change) => {
+    try {
+      const path = galleryImagePath(change.path);
+      if (change.action !== 'delete' && change.blob === undefined) checkImage(path, change);
+      return path;
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      errors.push({ path: change.path, code: err.details.code, error: err.message });
+      return null;
+    }
+  });
+
+  if (errors.length > 0) {
+    const message = errors.length === 1 ? errors[0].error : `${errors.length} files were rejected`;
+    throw new HttpError(400, message, { code: 'invalid_upload', errors });
+  }
+  return paths;
+}
+
+// Resolves a filename or path to a file directly inside GALLERY_DIR, after
+// decoding and collapsing `.`/`..` segments, so nothing can escape it
+function galleryImagePath(input) {
+  if (typeof input !== 'string' || input.length === 0 || input.length > 255) {
+    throw new HttpError(400, 'Invalid filename', { code: 'invalid_path' });
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(input).replace(/\\/g, '/');
+  } catch {
+    throw new HttpError(400, 'Invalid filename', { code: 'invalid_path' });
+  }
+
+  const segments = [];
+  const full = decoded.startsWith(GALLERY_DIR) ? decoded : GALLERY_DIR + decoded;
+  for (const segment of full.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') segments.pop();
+    else segments.push(segment);
+  }
+
+  const path = segments.join('/');
+  const name = path.slice(GALLERY_DIR.length);
+  if (!path.startsWith(GALLERY_DIR) || !/^[a-z0-9][a-z0-9._-]*\.[a-z0-9]+$/.test(name)) {
+    throw new HttpError(400, `Path not allowed: ${input}`, { code: 'invalid_path' });
+  }
+  const extension = name.split('.').pop();
+  if (!Object.values(IMAGE_FORMATS).some((f) => f.extensions.includes(extension))) {
+    throw new HttpError(400, 'Only .jpg, .png and .webp files can be uploaded', { code: 'unsupported_type' });
+  }
+  return path;
+}
+
+// Checks the decoded bytes rather than trusting the name: the format is
+// sniffed from magic bytes and must match the extension, metadata is
+// refused, then byte size and pixel dimensions are held to the MAX_* limits
+function checkImage(path, { content, encoding }) {
+  if (typeof content !== 'string' || (encoding && encoding !== 'base64')) {
+    throw new HttpError(400, 'Images must be sent base64-encoded', { code: 'invalid_encoding' });
+  }
+  if (Math.floor(content.replace(/[\s=]/g, '').length * 3 / 4) > MAX_UPLOAD_BYTES) {
+    throw new HttpError(400, `File exceeds ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, { code: 'too_large' });
+  }
+
+  let bytes;
+  try {
+    bytes = base64ToBytes(content);
+  } catch {
+    throw new HttpError(400, 'Content is not valid base64', { code: 'invalid_encoding' });
+  }
+
+  const format = sniffImageFormat(bytes);
+  if (!format) {
+    throw new HttpError(400, 'Not a JPEG, PNG or WebP image', { code: 'unsupported_type' });
+  }
+  if (!IMAGE_FORMATS[format].extensions.includes(path.split('.').pop())) {
+    throw new HttpError(400, `File is a ${format.toUpperCase()} image but has a .${path.split('.').pop()} extension`, { code: 'type_mismatch' });
+  }
+  if (hasMetadata(bytes, format)) {
+    throw new HttpError(400, 'Image carries EXIF/XMP metadata, which can include location and device serials', { code: 'metadata' });
+  }
+
+  const size = IMAGE_FORMATS[format].size(bytes);
+  if (!size || size.width === 0 || size.height === 0) {
+    throw new HttpError(400, `Could not read the ${format.toUpperCase()} image dimensions`, { code: 'invalid_image' });
+  }
+  if (size.width > MAX_IMAGE_DIMENSION || size.height > MAX_IMAGE_DIMENSION || size.width * size.height > MAX_IMAGE_PIXELS) {
+    throw new HttpError(400, `${size.width}×${size.height} exceeds the ${MAX_IMAGE_DIMENSION}px / ${MAX_IMAGE_PIXELS / 1e6} MP limit`, { code: 'too_many_pixels' });
+  }
+  return { format, ...size, bytes: bytes.length };
+}
+
+function sniffImageFormat(b) {
+  if (b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF) return 'jpeg';
+  if ([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A].every((v, i) => b[i] === v)) return 'png';
+  if (ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP') return 'webp';
+  return null;
+}
+
+// EXIF and XMP can hold GPS positions and device serial numbers, so images
+// carrying either are refused outright (the admin re-encodes uploads, which
+// drops them)
+function hasMetadata(b, format) {
+  const view = new DataView(b.buffer, b.byteOffset, b.byteLength);
+  if (format === 'jpeg') {
+    // APP1 segments before the scan data hold EXIF and XMP
+    for (let i = 2; i + 4 <= b.length && b[i] === 0xFF && b[i + 1] !== 0xDA; i += 2 + view.getUint16(i + 2)) {
+      if (b[i + 1] === 0xE1) return true;
+    }
+  } else if (format === 'png') {
+    for (let i = 8; i + 8 <= b.length; i += 12 + view.getUint32(i)) {
+      const type = ascii(b, i + 4, 4);
+      if (type === 'eXIf' || (type === 'iTXt' && ascii(b, i + 8, 17) === 'XML:com.adobe.xmp')) return true;
+    }
+  } else if (format === 'webp') {
+    for (let i = 12; i + 8 <= b.length; i += 8 + ((view.getUint32(i + 4, true) + 1) & ~1)) {
+      const type = ascii(b, i, 4);
+      if (type === 'EXIF' || type === 'XMP ') return true;
+    }
+  }
+  return false;
+}
+
+// Walks the marker segments up to the first start-of-frame
+function jpegSize(b) {
+  let i = 2;
+  while (i + 9 < b.length) {
+    if (b[i] !== 0xFF) return null;
+    const marker = b[i + 1];
+    if (marker === 0xFF) { i++; continue; }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { i += 2; continue; }
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { height: (b[i + 5] << 8) | b[i + 6], width: (b[i + 7] << 8) | b[i + 8] };
+    }
+    i += 2 + ((b[i + 2] << 8) | b[i + 3]);
+  }
+  return null;
+}
+
+function pngSize(b) {
+  if (b.length < 24 || ascii(b, 12, 4) !== 'IHDR') return null;
+  const view = new DataView(b.buffer, b.byteOffset);
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+// Lossy (VP8), lossless (VP8L) and extended (VP8X) bitstreams
+function webpSize(b) {
+  if (b.length < 30) return null;
+  const chunk = ascii(b, 12, 4);
+  if (chunk === 'VP8 ' && b[23] === 0x9D && b[24] === 0x01 && b[25] === 0x2A) {
+    return { width: ((b[27] << 8) | b[26]) & 0x3FFF, height: ((b[29] << 8) | b[28]) & 0x3FFF };
+  }
+  if (chunk === 'VP8L' && b[20] === 0x2F) {
+    return {
+      width: 1 + (b[21] | ((b[22] & 0x3F) << 8)),
+      height: 1 + ((b[22] >> 6) | (b[23] << 2) | ((b[24] & 0x0F) << 10)),
+    };
+  }
+  if (chunk === 'VP8X') {
+    return { width: 1 + (b[24] | (b[25] << 8) | (b[26] << 16)), height: 1 + (b[27] | (b[28] << 8) | (b[29] << 16)) };
+  }
+  return null;
+}
+
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Images
+// ═══════════════════════════════════════════════════════════════════════
+
+async function listImages(env) {
+  const files = await storage(env).list(GALLERY_DIR.slice(0, -1));
+
+  const images = files
+    .filter((f) => f.name !== '.gitkeep')
+    .map((f) => ({ name: f.name, sha: f.sha, size: f.size, download_url: f.download_url }));
+
+  return json(images, 200, env.ALLOWED_ORIGIN);
+}
+
+// An existing file of the same name is only replaced when the request says
+// `overwrite: true`, which takes an editor; otherwise it is a 409 with code
+// 'exists' so the client can rename, replace or skip
+async function uploadImage(request, user, env) {
+  const { filename, content, overwrite } = await request.json();
+
+  if (!filename || !content) {
+    return json({ error: 'filename and content (base64) required' }, 400, env.ALLOWED_ORIGIN);
+  }
+  if (overwrite) requireRole(user, 'editor');
+
+  const path = checkUploads([{ path: filename, content, encoding: 'base64' }])[0];
+  const name = path.slice(GALLERY_DIR.length);
+
+  try {
+    const result = await storage(env).write(path, content, {
+      message: attributed(`${overwrite ? 'Replace' : 'Add'} gallery image: ${name}`, user),
+      sha: overwrite ? undefined : null,
+    });
+    return json({ sha: result.sha, name, commit: result.commit }, 201, env.ALLOWED_ORIGIN);
+  } catch (err) {
+    if (err instanceof HttpError && err.details.code === 'conflict' && !overwrite) {
+      throw new HttpError(409, `File already exists: ${name}`, { code: 'exists', path, sha: err.details.sha });
+    }
+    throw err;
+  }
+}
+
+// Stores one image ahead of the commit that publishes it, so large batches
+// go up file by file (with progress and retries) instead of in one request.
+// The body is the raw image; `path` names the file it will be committed as.
+// Returns the blob SHA with a receipt that lets /commit use it unchecked.
+async function uploadBlob(request, name, env) {
+  const bytes = new Uint8Array(await request.arrayBuffer());
+  if (!name || bytes.length === 0) {
+    return json({ error: 'path query parameter and image body required' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  const content = bytesToBase64(bytes);
+  const path = checkUploads([{ path: name, content, encoding: 'base64' }])[0];
+  const blob = await storage(env).createBlob(content);
+
+  return json({ path, blob, receipt: await blobReceipt(path, blob, env) }, 201, env.ALLOWED_ORIGIN);
+}
+
+// HMAC over the path and blob SHA: proof that this worker validated the blob
+// as an image for that path
+async function blobReceipt(path, blob, env) {
+  const key = await crypto.subtle.importKey(
+    'raw', hexToBuffer(env.JWT_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`blob:${path}:${blob}`));
+  return base64urlFromBuffer(new Uint8Array(sig));
+}
+
+// Changes may only reference a blob by SHA with a receipt for the same path
+async function checkBlobReceipts(changes, env) {
+  for (const change of changes) {
+    if (change.blob === undefined) continue;
+    const valid = typeof change.blob === 'string' && typeof change.receipt === 'string' &&
+      timingSafeEqual(change.receipt, await blobReceipt(change.path, change.blob, env));
+    if (!valid) {
+      throw new HttpError(400, `Upload ${change.path} again: its blob receipt is not valid`, { code: 'invalid_receipt', path: change.path });
+    }
+  }
+}
+
+// Deletes gallery images together with their WebP derivatives, in one
+// commit. Body: { files: [{ filename, sha }] }, or a single { filename, sha }.
+// Images the live gallery.yml still shows are refused.
+async function deleteImages(request, user, env) {
+  const body = await request.json();
+  const files = Array.isArray(body.files) ? body.files : [body];
+
+  if (files.length === 0 || files.some((f) => !f || !f.filename || !f.sha)) {
+    return json({ error: 'filename and sha required for every file' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  const paths = checkUploads(files.map((f) => ({ path: f.filename, action: 'delete' })));
+  const changes = paths.map((path, i) => ({ path, action: 'delete', sha: files[i].sha }));
+
+  const store = storage(env);
+  const head = await store.snapshot(env.GITHUB_BRANCH);
+  for (const path of paths) {
+    for (const derivative of derivativesOf(path, head.files)) {
+      if (!changes.some((c) => c.path === derivative)) changes.push({ path: derivative, action: 'delete' });
+    }
+  }
+
+  const gallery = head.files[GALLERY_PATH] ? decodeBase64Utf8(await store.readBlob(head.files[GALLERY_PATH])) : '';
+  checkUnreferenced(changes.map((c) => c.path), gallery);
+
+  const names = paths.map((path) => path.slice(GALLERY_DIR.length));
+  const message = names.length === 1 ? `Remove gallery image: ${names[0]}` : `Remove ${names.length} gallery images`;
+  const result = await commitChanges(store, env.GITHUB_BRANCH, attributed(message, user), changes);
+
+  return json({
+    success: true,
+    deleted: changes.map((c) => c.path.slice(GALLERY_DIR.length)),
+    commit: result.commit,
+  }, 200, env.ALLOWED_ORIGIN);
+}
+
+// WebP derivatives are stored next to their image as <base>-<width>w.webp
+function isDerivative(file, image) {
+  const base = image.replace(/\.[^./]+$/, '');
+  return file.startsWith(`${base}-`) && /^-\d+w\.webp$/.test(file.slice(base.length));
+}
+
+function derivativesOf(path, files) {
+  return Object.keys(files).filter((file) => isDerivative(file, path));
+}
+
+// Throws a 409 listing the paths (images or their derivatives) that
+// entries of the given gallery.yml text still show. Images in `replaced`
+// are being rewritten alongside, so of their derivatives only the widths
+// their entries now list count.
+function checkUnreferenced(paths, galleryYaml, replaced = []) {
+  const parsed = galleryYaml ? parseYaml(galleryYaml) : [];
+  const entries = (Array.isArray(parsed) ? parsed : []).filter((entry) => entry && typeof entry.image === 'string');
+
+  const shows = (entry, path) => {
+    const image = GALLERY_DIR + entry.image;
+    if (image === path) return true;
+    if (!isDerivative(path, image)) return false;
+    if (!replaced.includes(image)) return true;
+    const width = Number(path.match(/-(\d+)w\.webp$/)[1]);
+    return Array.isArray(entry.widths) && entry.widths.includes(width);
+  };
+  const referenced = paths.filter((path) => entries.some((entry) => shows(entry, path)));
+  if (referenced.length > 0) {
+    const names = referenced.map((path) => path.slice(GALLERY_DIR.length));
+    throw new HttpError(409, `Still shown in the gallery: ${names.join(', ')}`, { code: 'referenced', files: names });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Gallery YAML
+// ═══════════════════════════════════════════════════════════════════════
+
+// The album list (gallery_categories.yml) comes along so the admin can
+// offer its categories without a second request
+async function getGallery(env) {
+  const store = storage(env);
+  const [file, albums] = await Promise.all([store.read(GALLERY_PATH), store.read(CATEGORIES_PATH)]);
+
+  const categories = { entries: [], comments: [], sha: albums ? albums.sha : null };
+  if (albums) {
+    const parsed = parseYaml(decodeBase64Utf8(albums.content), categories.comments);
+    categories.entries = Array.isArray(parsed) ? parsed : [];
+  }
+
+  if (!file) {
+    return json({ entries: [], sha: null, categories }, 200, env.ALLOWED_ORIGIN);
+  }
+
+  const comments = [];
+  const parsed = parseYaml(decodeBase64Utf8(file.content), comments);
+  const entries = Array.isArray(parsed) ? parsed : [];
+
+  return json({ entries, comments, sha: file.sha, categories }, 200, env.ALLOWED_ORIGIN);
+}
+
+async function updateGallery(request, user, env) {
+  const { content, sha } = await request.json();
+
+  if (content === undefined) {
+    return json({ error: 'content (YAML string) required' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  try {
+    // A missing SHA means the file is new: an existing gallery.yml is a
+    // conflict, never silently overwritten
+    const result = await storage(env).write(GALLERY_PATH, encodeBase64Utf8(content), {
+      message: attributed('Update gallery data', user),
+      sha: sha || null,
+    });
+    return json({ sha: result.sha, commit: result.commit }, 200, env.ALLOWED_ORIGIN);
+  } catch (err) {
+    // Stale SHA: someone changed gallery.yml since the editor loaded it
+    if (err instanceof HttpError && err.details.code === 'conflict') {
+      return galleryConflict(env, err.details.sha);
+    }
+    throw err;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Site data YAML (_data/<name>.yml)
+// ═══════════════════════════════════════════════════════════════════════
+
+async function getDataFile(name, env) {
+  const file = await storage(env).read(`_data/${name}.yml`);
 
-      // ── All other routes require valid JWT ────────────────────────
-      const payload = await verifyJWT(request, env);
-      if (!payload) {
-        return json({ error: 'Unauthorized' }, 401, env.ALLOWED_ORIGIN);
-      }
+  if (!file) {
+    return json({ data: null, sha: null }, 200, env.ALLOWED_ORIGIN);
+  }
 
-      // ── Image routes ──────────────────────────────────────────────
-      if (path === '/images' && request.method === 'GET') {
-        return await listImages(env);
-      }
+  const comments = [];
+  const parsed = parseYaml(decodeBase64Utf8(file.content), comments);
 
-      if (path === '/upload' && request.method === 'POST') {
-        return await uploadImage(request, env);
-      }
+  return json({ data: parsed, comments, sha: file.sha }, 200, env.ALLOWED_ORIGIN);
+}
 
-      if (path === '/delete-image' && request.method === 'POST') {
-        return await deleteImage(request, env);
-      }
+async function updateDataFile(request, name, user, env) {
+  const { content, sha } = await request.json();
 
-      // ── Gallery data routes ───────────────────────────────────────
-      if (path === '/gallery' && request.method === 'GET') {
-        return await getGallery(env);
-      }
+  if (typeof content !== 'string') {
+    return json({ error: 'content (YAML string) required' }, 400, env.ALLOWED_ORIGIN);
+  }
 
-      if (path === '/gallery' && request.method === 'PUT') {
-        return await updateGallery(request, env);
-      }
+  // Whatever lands here is read by the live site's Jekyll build
+  try {
+    parseYaml(content);
+  } catch (err) {
+    return json({ error: `${name}.yml is not valid YAML: ${err.message}` }, 400, env.ALLOWED_ORIGIN);
+  }
 
-      return json({ error: 'Not found' }, 404, env.ALLOWED_ORIGIN);
-    } catch (err) {
-      console.error('Worker error:', err);
-      return json({ error: 'Internal server error' }, 500, env.ALLOWED_ORIGIN);
+  try {
+    // A missing SHA means the file is new
+    const result = await storage(env).write(`_data/${name}.yml`, encodeBase64Utf8(content), {
+      message: attributed(`Update ${name} data`, user),
+      sha: sha || null,
+    });
+    return json({ sha: result.sha, commit: result.commit }, 200, env.ALLOWED_ORIGIN);
+  } catch (err) {
+    // Stale SHA: the editor gets the current file to reload or overwrite
+    if (err instanceof HttpError && err.details.code === 'conflict') {
+      return dataConflict(env, name, err.details.sha);
     }
-  },
-};
+    throw err;
+  }
+}
+
+// 409 response carrying the current data file, like galleryConflict
+async function dataConflict(env, name, sha) {
+  const comments = [];
+  const data = sha ? parseYaml(decodeBase64Utf8(await storage(env).readBlob(sha)), comments) : null;
+
+  return json({
+    error: `${name}.yml was changed by someone else`,
+    code: 'conflict',
+    path: `_data/${name}.yml`,
+    data,
+    comments,
+    sha,
+  }, 409, env.ALLOWED_ORIGIN);
+}
 
 // ═══════════════════════════════════════════════════════════════════════
-// Authentication
+// Atomic changesets
 // ═══════════════════════════════════════════════════════════════════════
 
-async function handleAuth(request, env) {
-  // Rate limiting
-  if (env.RATE_LIMIT) {
-    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-    const key = `auth-rate:${ip}`;
-    const current = await env.RATE_LIMIT.get(key);
-    const count = current ? parseInt(current, 10) : 0;
+async function commitChangeset(request, user, env) {
+  const { message, draft, add = [], modify = [], delete: remove = [] } = await request.json();
+
+  if (![add, modify, remove].every(Array.isArray)) {
+    return json({ error: 'add, modify and delete must be arrays' }, 400, env.ALLOWED_ORIGIN);
+  }
 
-    if (count >= RATE_LIMIT_MAX) {
-      return json({ error: 'Too many attempts. Try again later.' }, 429, env.ALLOWED_ORIGIN);
+  const changes = [
+    ...add.map((f) => ({ ...f, action: 'add' })),
+    ...modify.map((f) => ({ ...f, action: 'modify' })),
+    ...remove.map((f) => ({ ...(typeof f === 'string' ? { path: f } : f), action: 'delete' })),
+  ];
+
+  if (changes.length === 0) {
+    return json({ error: 'Changeset is empty' }, 400, env.ALLOWED_ORIGIN);
+  }
+
+  // Image changes are validated together so every bad file is reported at once
+  const images = changes.filter((c) => typeof c.path === 'string' && c.path.startsWith(GALLERY_DIR));
+  checkUploads(images).forEach((path, i) => { images[i].path = path; });
+  await checkBlobReceipts(changes, env);
+
+  const seen = new Set();
+  for (const change of changes) {
+    if (!images.includes(change) && !isCommitPath(change.path)) {
+      return json({ error: `Path not allowed: ${change.path}` }, 400, env.ALLOWED_ORIGIN);
+    }
+    if (seen.has(change.path)) {
+      return json({ error: `Path listed twice: ${change.path}` }, 400, env.ALLOWED_ORIGIN);
+    }
+    seen.add(change.path);
+    if (change.action !== 'delete' && typeof change.content !== 'string' && change.blob === undefined) {
+      return json({ error: `content required for ${change.path}` }, 400, env.ALLOWED_ORIGIN);
+    }
+    if (change.path.startsWith(ALBUMS_DIR) && change.action !== 'delete' && !isAlbumPage(change)) {
+      return json({ error: `Not an album page: ${change.path}` }, 400, env.ALLOWED_ORIGIN);
+    }
+    if (user.role === 'uploader' && (change.action !== 'add' || !images.includes(change))) {
+      return json({ error: 'Uploaders can only add new images' }, 403, env.ALLOWED_ORIGIN);
     }
-    await env.RATE_LIMIT.put(key, String(count + 1), { expirationTtl: RATE_LIMIT_WINDOW });
   }
 
-  const { password } = await request.json();
-  if (!password) {
-    return json({ error: 'Password required' }, 400, env.ALLOWED_ORIGIN);
+  const store = storage(env);
+
+  if (draft) {
+    const branch = draftBranch(draft);
+    if (!branch) {
+      return json({ error: 'Invalid draft name' }, 400, env.ALLOWED_ORIGIN);
+    }
+    // A draft branch is scratch space: files are written whatever it holds
+    const puts = changes.map((c) => ({ ...c, sha: undefined, action: c.action === 'delete' ? 'delete' : 'put' }));
+    await store.ensureBranch(branch);
+    const result = await commitChanges(store, branch, attributed(message || 'Update draft', user), puts);
+    const review = await store.openDraft(branch);
+    return json({ ...result, draft: { id: review.id, branch, url: review.url } }, 201, env.ALLOWED_ORIGIN);
   }
 
-  // Verify password via PBKDF2
-  const isValid = await verifyPassword(password, env.ADMIN_PASSWORD_HASH, env.ADMIN_PASSWORD_SALT);
-  if (!isValid) {
-    return json({ error: 'Invalid password' }, 401, env.ALLOWED_ORIGIN);
+  // Deleted images must not be shown by the gallery.yml the commit leaves behind
+  const deleted = images.filter((c) => c.action === 'delete').map((c) => c.path);
+  if (deleted.length > 0) {
+    const yaml = changes.find((c) => c.path === GALLERY_PATH);
+    let gallery;
+    if (yaml) {
+      gallery = yaml.action === 'delete' ? '' : yaml.encoding === 'base64' ? decodeBase64Utf8(yaml.content) : yaml.content;
+    } else {
+      const file = await store.read(GALLERY_PATH);
+      gallery = file ? decodeBase64Utf8(file.content) : '';
+    }
+    // A replaced image may come with fewer derivatives than before
+    const replaced = images.filter((c) => c.action !== 'delete').map((c) => c.path);
+    checkUnreferenced(deleted, gallery, replaced);
   }
 
-  // Issue JWT
-  const token = await signJWT({ sub: 'admin', iat: now(), exp: now() + JWT_EXPIRY }, env.JWT_SECRET);
-  return json({ token }, 200, env.ALLOWED_ORIGIN);
+  try {
+    const result = await commitChanges(store, env.GITHUB_BRANCH, attributed(message || 'Update gallery', user), changes);
+    return json(result, 201, env.ALLOWED_ORIGIN);
+  } catch (err) {
+    if (err instanceof HttpError && err.details.code === 'conflict' && err.details.path === GALLERY_PATH) {
+      return galleryConflict(env, err.details.sha);
+    }
+    throw err;
+  }
 }
 
-// ═══════════════════════════════════════════════════════════════════════
-// PBKDF2 Password Verification
-// ═══════════════════════════════════════════════════════════════════════
+// 409 response carrying the current remote gallery so the admin can merge
+async function galleryConflict(env, sha) {
+  const comments = [];
+  let parsed = null;
+  if (sha) {
+    parsed = parseYaml(decodeBase64Utf8(await storage(env).readBlob(sha)), comments);
+  }
 
-async function verifyPassword(password, storedHashHex, saltHex) {
-  const enc = new TextEncoder();
-  const salt = hexToBuffer(saltHex);
+  return json({
+    error: 'gallery.yml was changed by someone else',
+    code: 'conflict',
+    path: GALLERY_PATH,
+    entries: Array.isArray(parsed) ? parsed : [],
+    comments,
+    sha,
+  }, 409, env.ALLOWED_ORIGIN);
+}
 
-  const keyMaterial = await crypto.subtle.importKey(
-    'raw', enc.encode(password), 'PBKDF2', false, ['deriveBits']
-  );
+// Besides gallery images (see checkUploads), only the known data files and
+// album pages may be written via /commit
+function isCommitPath(path) {
+  if (typeof path !== 'string') return false;
+  if (path === CATEGORIES_PATH || ALBUM_PAGE.test(path)) return true;
+  const data = path.match(/^_data\/([a-z_]+)\.yml$/);
+  return !!data && (data[1] === 'gallery' || DATA_FILES.includes(data[1]));
+}
 
-  const derivedBits = await crypto.subtle.deriveBits(
-    { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
-    keyMaterial,
-    256
-  );
+// _albums/<slug>.md holds nothing but front matter naming its category (the
+// album layout does the rendering), so an album page cannot carry markup
+const ALBUM_PAGE = /^_albums\/([a-z0-9]+(?:-[a-z0-9]+)*)\.md$/;
+
+function isAlbumPage(change) {
+  if (change.blob !== undefined || typeof change.content !== 'string') return false;
+  const content = change.encoding === 'base64' ? decodeBase64Utf8(change.content) : change.content;
+  const page = content.match(/^---\ncategory: ([a-z0-9-]+)\ntitle: ("(?:[^"\\\n]|\\.)*")\n---\n$/);
+  if (!page || page[1] !== change.path.match(ALBUM_PAGE)[1]) return false;
+  try {
+    return typeof JSON.parse(page[2]) === 'string';
+  } catch {
+    return false;
+  }
+}
 
-  const derivedHex = bufferToHex(new Uint8Array(derivedBits));
-  return timingSafeEqual(derivedHex, storedHashHex);
+// Lands a list of { path, action, content, encoding } changes as a single
+// commit on `branch`, on top of the head they were checked against.
+// Actions: add, modify, delete, and put (add or overwrite, used by drafts).
+// A change with `blob` instead of content reuses an existing blob SHA.
+async function commitChanges(store, branch, message, changes) {
+  const head = await store.snapshot(branch);
+
+  for (const change of changes) {
+    const exists = change.path in head.files;
+    const current = head.files[change.path] || null;
+    // `sha` is the blob the client based its change on; a mismatch (or a
+    // file that appeared since) means someone else changed it meanwhile
+    if (change.sha !== undefined && change.sha !== current) {
+      throw new HttpError(409, `${change.path} was changed by someone else`, { code: 'conflict', path: change.path, sha: current });
+    }
+    if (change.action === 'add' && exists) {
+      throw new HttpError(409, `File already exists: ${change.path}`, { code: 'exists', path: change.path, sha: current });
+    }
+    if ((change.action === 'modify' || change.action === 'delete') && !exists) {
+      throw new HttpError(409, `File not found: ${change.path}`, { code: 'missing', path: change.path });
+    }
+  }
+
+  return store.commit(branch, message, changes, head.commit);
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// JWT (HS256 via Web Crypto API)
+// Gallery history & rollback
 // ═══════════════════════════════════════════════════════════════════════
 
-async function signJWT(payload, secretHex) {
-  const header = { alg: 'HS256', typ: 'JWT' };
-  const encodedHeader = base64url(JSON.stringify(header));
-  const encodedPayload = base64url(JSON.stringify(payload));
-  const signingInput = encodedHeader + '.' + encodedPayload;
+async function listGalleryHistory(env) {
+  const history = await storage(env).history(GALLERY_PATH, 30);
+  return json(history, 200, env.ALLOWED_ORIGIN);
+}
 
-  const key = await crypto.subtle.importKey(
-    'raw', hexToBuffer(secretHex), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
-  );
+// Gallery entries at a commit and at its parent, for the per-revision diff
+async function getGalleryRevision(sha, env) {
+  const store = storage(env);
+  const commit = await store.revision(sha);
+  if (!commit) {
+    return json({ error: 'Revision not found' }, 404, env.ALLOWED_ORIGIN);
+  }
 
-  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(signingInput));
-  const encodedSig = base64urlFromBuffer(new Uint8Array(sig));
+  const current = await galleryAt(store, sha);
+  const parent = commit.parents.length > 0 ? await galleryAt(store, commit.parents[0]) : { entries: [] };
 
-  return signingInput + '.' + encodedSig;
+  return json({ sha, entries: current.entries, previous: parent.entries }, 200, env.ALLOWED_ORIGIN);
 }
 
-async function verifyJWT(request, env) {
-  const auth = request.headers.get('Authorization');
-  if (!auth || !auth.startsWith('Bearer ')) return null;
+// Restores gallery.yml byte-for-byte as it was at `sha`. With restoreImages,
+// images it references that have since been deleted come back too, reusing
+// their old blobs.
+async function rollbackGallery(request, user, env) {
+  const { sha, restoreImages = false } = await request.json();
 
-  const token = auth.slice(7);
-  const parts = token.split('.');
-  if (parts.length !== 3) return null;
+  if (typeof sha !== 'string' || !/^[0-9a-f]{40}$/.test(sha)) {
+    return json({ error: 'sha (commit SHA) required' }, 400, env.ALLOWED_ORIGIN);
+  }
 
-  const signingInput = parts[0] + '.' + parts[1];
-  const signature = base64urlToBuffer(parts[2]);
+  const store = storage(env);
+  const target = await galleryAt(store, sha);
+  if (target.content === null) {
+    return json({ error: 'gallery.yml did not exist at that revision' }, 404, env.ALLOWED_ORIGIN);
+  }
 
-  const key = await crypto.subtle.importKey(
-    'raw', hexToBuffer(env.JWT_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
-  );
+  const changes = [{ path: GALLERY_PATH, action: 'put', content: target.content, encoding: 'utf-8' }];
+  const restored = [];
+
+  if (restoreImages) {
+    const [head, old] = await Promise.all([store.snapshot(env.GITHUB_BRANCH), store.snapshot(sha)]);
+
+    for (const entry of target.entries) {
+      const imagePath = `${GALLERY_DIR}${entry.image}`;
+      if (!entry.image || imagePath in head.files || !(imagePath in old.files)) continue;
+      if (restored.includes(entry.image)) continue;
+      changes.push({ path: imagePath, action: 'add', blob: old.files[imagePath] });
+      // The entry's widths still name its WebP derivatives, which the
+      // deletion removed along with the image
+      for (const derivative of derivativesOf(imagePath, old.files)) {
+        if (!(derivative in head.files)) changes.push({ path: derivative, action: 'add', blob: old.files[derivative] });
+      }
+      restored.push(entry.image);
+    }
+  }
 
-  const valid = await crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(signingInput));
-  if (!valid) return null;
+  const message = attributed(`Roll back gallery to ${sha.slice(0, 7)}`, user);
+  const result = await commitChanges(store, env.GITHUB_BRANCH, message, changes);
+  return json({ ...result, restored }, 201, env.ALLOWED_ORIGIN);
+}
 
-  const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
-  if (payload.exp && payload.exp < now()) return null;
+async function galleryAt(store, ref) {
+  const file = await store.read(GALLERY_PATH, ref);
+  if (!file) return { content: null, entries: [] };
 
-  return payload;
+  const content = decodeBase64Utf8(file.content);
+  const parsed = parseYaml(content, []);
+  return { content, entries: Array.isArray(parsed) ? parsed : [] };
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// GitHub API: Images
+// Drafts (drafts/<name> branches, promoted via pull request)
 // ═══════════════════════════════════════════════════════════════════════
 
-async function listImages(env) {
-  const res = await github(env, 'GET', `/repos/${env.GITHUB_REPO}/contents/assets/images/gallery`);
+function draftBranch(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  return slug ? `drafts/${slug}` : null;
+}
 
-  if (res.status === 404) {
-    return json([], 200, env.ALLOWED_ORIGIN);
-  }
+async function listDrafts(env) {
+  const drafts = await storage(env).listDrafts();
+  return json(drafts, 200, env.ALLOWED_ORIGIN);
+}
 
-  const data = await res.json();
+async function promoteDraft(id, user, env) {
+  const store = storage(env);
+  const draft = await store.getDraft(id);
+  if (!draft) throw new HttpError(404, 'Draft not found');
 
-  if (!Array.isArray(data)) {
-    return json([], 200, env.ALLOWED_ORIGIN);
-  }
+  const result = await store.promoteDraft(id, {
+    title: draft.title,
+    message: `Edited-by: ${user.name} (${user.username})`,
+  });
+  return json({ sha: result.sha, commit: result.sha }, 200, env.ALLOWED_ORIGIN);
+}
 
-  const images = data
-    .filter((f) => f.type === 'file' && f.name !== '.gitkeep')
-    .map((f) => ({ name: f.name, sha: f.sha, size: f.size, download_url: f.download_url }));
+async function discardDraft(id, env) {
+  const store = storage(env);
+  if (!(await store.getDraft(id))) throw new HttpError(404, 'Draft not found');
 
-  return json(images, 200, env.ALLOWED_ORIGIN);
+  await store.discardDraft(id);
+  return json({ success: true }, 200, env.ALLOWED_ORIGIN);
 }
 
-async function uploadImage(request, env) {
-  const { filename, content } = await request.json();
-
-  if (!filename || !content) {
-    return json({ error: 'filename and content (base64) required' }, 400, env.ALLOWED_ORIGIN);
-  }
+// ═══════════════════════════════════════════════════════════════════════
+// YAML Parser
+// Block and flow collections, quoted/plain/block scalars. Comments are
+// reported separately (as { path, before, inline }) so that the admin can
+// write them back when it serializes the data again. Anything the parser
+// doesn't understand is a 400 rather than a silently shortened document,
+// which the admin would otherwise publish back.
+// ═══════════════════════════════════════════════════════════════════════
 
-  // Check if file already exists to get its SHA
-  const existingRes = await github(env, 'GET', `/repos/${env.GITHUB_REPO}/contents/assets/images/gallery/${filename}`);
-  let sha = undefined;
-  if (existingRes.ok) {
-    const existing = await existingRes.json();
-    sha = existing.sha;
-  }
+const YAML_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029',
+};
 
-  const body = {
-    message: `Add gallery image: ${filename}`,
-    content: content,
-    branch: env.GITHUB_BRANCH,
+function parseYaml(yaml, comments) {
+  const ctx = {
+    lines: yaml.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n').map((raw) => ({
+      raw,
+      indent: raw.length - raw.trimStart().length,
+      text: raw.trim(),
+    })),
+    i: 0,
+    pending: [],
+    comments: comments || null,
   };
-  if (sha) body.sha = sha;
-
-  const res = await github(env, 'PUT', `/repos/${env.GITHUB_REPO}/contents/assets/images/gallery/${filename}`, body);
 
-  if (res.ok) {
-    const data = await res.json();
-    return json({ sha: data.content.sha, name: filename }, 201, env.ALLOWED_ORIGIN);
+  const first = peekYamlLine(ctx);
+  const value = first ? parseYamlBlock(ctx, first.indent, []) : null;
+  const left = peekYamlLine(ctx);
+  if (left) throw new HttpError(400, `Invalid YAML: unexpected indentation on line ${ctx.i + 1}: ${left.text}`);
+  if (ctx.comments && ctx.pending.length > 0) {
+    ctx.comments.push({ path: null, before: ctx.pending });
   }
-
-  const err = await res.text();
-  console.error('GitHub upload error:', err);
-  return json({ error: 'Upload failed' }, 500, env.ALLOWED_ORIGIN);
+  return value;
 }
 
-async function deleteImage(request, env) {
-  const { filename, sha } = await request.json();
+// Next content line (without consuming it); collects comment lines on the way
+function peekYamlLine(ctx) {
+  while (ctx.i < ctx.lines.length) {
+    const line = ctx.lines[ctx.i];
+    if (line.text.startsWith('#')) {
+      ctx.pending.push(line.text.replace(/^#\s?/, ''));
+    } else if (line.text && !/^(---|\.\.\.)(\s|$)/.test(line.text) && !line.text.startsWith('%')) {
+      return line;
+    }
+    ctx.i++;
+  }
+  return null;
+}
 
-  if (!filename || !sha) {
-    return json({ error: 'filename and sha required' }, 400, env.ALLOWED_ORIGIN);
+function takeYamlComments(ctx, path, inline) {
+  if (ctx.comments && (ctx.pending.length > 0 || inline)) {
+    const entry = { path, before: ctx.pending };
+    if (inline) entry.inline = inline;
+    ctx.comments.push(entry);
   }
+  ctx.pending = [];
+}
 
-  const res = await github(env, 'DELETE', `/repos/${env.GITHUB_REPO}/contents/assets/images/gallery/${filename}`, {
-    message: `Remove gallery image: ${filename}`,
-    sha: sha,
-    branch: env.GITHUB_BRANCH,
-  });
+function parseYamlBlock(ctx, indent, path) {
+  const line = peekYamlLine(ctx);
+  if (isYamlSeqItem(line.text)) return parseYamlSeq(ctx, indent, path);
+  if (splitYamlKey(line.text)) return parseYamlMap(ctx, indent, path);
+  ctx.i++;
+  const { value, comment } = splitYamlComment(line.text);
+  takeYamlComments(ctx, path, comment);
+  return parseYamlValue(value);
+}
 
-  if (res.ok) {
-    return json({ success: true }, 200, env.ALLOWED_ORIGIN);
+function parseYamlSeq(ctx, indent, path) {
+  const list = [];
+  let line;
+  while ((line = peekYamlLine(ctx)) && line.indent === indent && isYamlSeqItem(line.text)) {
+    const itemPath = path.concat(list.length);
+    const rest = line.text.slice(1).trimStart();
+    const nestedSeq = isYamlSeqItem(rest);
+    if (nestedSeq || splitYamlKey(rest)) {
+      // "- key: value" opens a mapping whose keys align with "key", and
+      // "- - item" a sequence whose items align with the second "-"
+      takeYamlComments(ctx, itemPath);
+      const childIndent = indent + (line.text.length - rest.length);
+      ctx.lines[ctx.i] = { raw: ' '.repeat(childIndent) + rest, indent: childIndent, text: rest };
+      list.push(nestedSeq ? parseYamlSeq(ctx, childIndent, itemPath) : parseYamlMap(ctx, childIndent, itemPath));
+    } else {
+      ctx.i++;
+      list.push(parseYamlNode(ctx, indent, itemPath, rest, true));
+    }
   }
+  return list;
+}
 
-  const err = await res.text();
-  console.error('GitHub delete error:', err);
-  return json({ error: 'Delete failed' }, 500, env.ALLOWED_ORIGIN);
+function parseYamlMap(ctx, indent, path) {
+  const map = {};
+  let line;
+  while ((line = peekYamlLine(ctx)) && line.indent === indent) {
+    const kv = splitYamlKey(line.text);
+    if (!kv) break;
+    ctx.i++;
+    map[kv.key] = parseYamlNode(ctx, indent, path.concat(kv.key), kv.rest, false);
+  }
+  return map;
 }
 
-// ═══════════════════════════════════════════════════════════════════════
-// GitHub API: Gallery YAML
-// ═══════════════════════════════════════════════════════════════════════
+// Value following "key:" or "-" on the same line, or the nested block below it
+function parseYamlNode(ctx, indent, path, rest, inSeq) {
+  const { value, comment } = splitYamlComment(rest);
+  takeYamlComments(ctx, path, comment);
 
-async function getGallery(env) {
-  const res = await github(env, 'GET', `/repos/${env.GITHUB_REPO}/contents/_data/gallery.yml`);
+  if (/^[|>]/.test(value)) return readYamlBlockScalar(ctx, indent, value);
+  if (value) return parseYamlValue(value);
+
+  const next = peekYamlLine(ctx);
+  if (next && next.indent > indent) return parseYamlBlock(ctx, next.indent, path);
+  // Sequences may sit at the same indent as their parent key
+  if (!inSeq && next && next.indent === indent && isYamlSeqItem(next.text)) {
+    return parseYamlSeq(ctx, indent, path);
+  }
+  return null;
+}
 
-  if (res.status === 404) {
-    return json({ entries: [], sha: null }, 200, env.ALLOWED_ORIGIN);
+function readYamlBlockScalar(ctx, indent, header) {
+  const folded = header[0] === '>';
+  const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+  const explicit = header.match(/[1-9]/);
+  let contentIndent = explicit ? indent + Number(explicit[0]) : 0;
+
+  const lines = [];
+  while (ctx.i < ctx.lines.length) {
+    const line = ctx.lines[ctx.i];
+    if (line.text) {
+      if (!contentIndent) contentIndent = Math.max(line.indent, indent + 1);
+      if (line.indent < contentIndent) break;
+    }
+    lines.push(line.raw.slice(contentIndent));
+    ctx.i++;
   }
 
-  const data = await res.json();
-  const content = atob(data.content.replace(/\n/g, ''));
+  let trailing = 0;
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) {
+    lines.pop();
+    trailing++;
+  }
 
-  // Parse simple YAML (array of objects with image, caption, category)
-  const entries = parseSimpleYaml(content);
+  let text;
+  if (folded) {
+    text = '';
+    lines.forEach((l, i) => {
+      const prev = lines[i - 1];
+      if (i === 0) text = l;
+      else if (!l || !prev || /^\s/.test(l) || /^\s/.test(prev)) text += '\n' + l;
+      else text += ' ' + l;
+    });
+  } else {
+    text = lines.join('\n');
+  }
 
-  return json({ entries, sha: data.sha }, 200, env.ALLOWED_ORIGIN);
+  if (chomp === 'strip' || lines.length === 0) return text;
+  return text + '\n' + (chomp === 'keep' ? '\n'.repeat(trailing) : '');
 }
 
-async function updateGallery(request, env) {
-  const { content, sha } = await request.json();
+function isYamlSeqItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
 
-  if (content === undefined) {
-    return json({ error: 'content (YAML string) required' }, 400, env.ALLOWED_ORIGIN);
+function splitYamlKey(text) {
+  let key;
+  let rest;
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const end = quotedYamlEnd(text, 0);
+    if (end < 0 || text[end + 1] !== ':') return null;
+    key = unquoteYaml(text.slice(0, end + 1));
+    rest = text.slice(end + 2);
+  } else {
+    const match = text.match(/^([^#\s[\]{},][^:]*?)\s*:(?=\s|$)/);
+    if (!match) return null;
+    key = match[1];
+    rest = text.slice(match[0].length);
   }
+  if (rest && !/^\s/.test(rest)) return null;
+  return { key, rest: rest.trim() };
+}
 
-  // Get current SHA if not provided
-  let currentSha = sha;
-  if (!currentSha) {
-    const getRes = await github(env, 'GET', `/repos/${env.GITHUB_REPO}/contents/_data/gallery.yml`);
-    if (getRes.ok) {
-      const data = await getRes.json();
-      currentSha = data.sha;
+// Separates a trailing "# comment" from a scalar or flow value
+function splitYamlComment(text) {
+  let inQuote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuote) {
+      if (inQuote === '"' && c === '\\') i++;
+      else if (c === inQuote) inQuote = null;
+    } else if ((c === '"' || c === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+      inQuote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return { value: text.slice(0, i).trim(), comment: text.slice(i + 1).trim() };
     }
   }
+  return { value: text.trim(), comment: '' };
+}
 
-  const body = {
-    message: 'Update gallery data',
-    content: btoa(content),
-    branch: env.GITHUB_BRANCH,
-  };
-  if (currentSha) body.sha = currentSha;
-
-  const res = await github(env, 'PUT', `/repos/${env.GITHUB_REPO}/contents/_data/gallery.yml`, body);
-
-  if (res.ok) {
-    const data = await res.json();
-    return json({ sha: data.content.sha }, 200, env.ALLOWED_ORIGIN);
+function quotedYamlEnd(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') { i++; continue; }
+    if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") { i++; continue; }
+      return i;
+    }
   }
-
-  const err = await res.text();
-  console.error('GitHub gallery update error:', err);
-  return json({ error: 'Update failed' }, 500, env.ALLOWED_ORIGIN);
+  return -1;
 }
 
-// ═══════════════════════════════════════════════════════════════════════
-// Simple YAML Parser (for gallery.yml structure only)
-// ═══════════════════════════════════════════════════════════════════════
+function unquoteYaml(text) {
+  if (text[0] === "'") return text.slice(1, -1).replace(/''/g, "'");
+  return text.slice(1, -1).replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (m, esc) => {
+    if (esc.length > 1) return String.fromCodePoint(parseInt(esc.slice(1), 16));
+    return esc in YAML_ESCAPES ? YAML_ESCAPES[esc] : esc;
+  });
+}
 
-function parseSimpleYaml(yaml) {
-  const entries = [];
-  let current = null;
+function parseYamlValue(text) {
+  if (text.startsWith('[') || text.startsWith('{')) {
+    const pos = { i: 0 };
+    const value = parseYamlFlow(text, pos);
+    if (text.slice(pos.i).trim()) throw new HttpError(400, `Invalid YAML flow value: ${text}`);
+    return value;
+  }
+  if (text.startsWith('"') || text.startsWith("'")) return unquoteYaml(text);
+  return resolveYamlPlain(text);
+}
 
-  const lines = yaml.split('\n');
-  for (const line of lines) {
-    // Skip comments and empty lines
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
+// Plain scalars resolve like Jekyll's YAML 1.1 loader does for these types
+function resolveYamlPlain(text) {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE|yes|Yes|YES|on|On|ON)$/.test(text)) return true;
+  if (/^(false|False|FALSE|no|No|NO|off|Off|OFF)$/.test(text)) return false;
+  if (/^[-+]?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
 
-    // New array entry
-    if (trimmed.startsWith('- ')) {
-      if (current) entries.push(current);
-      current = {};
-      const kv = trimmed.slice(2);
-      const parsed = parseYamlKV(kv);
-      if (parsed) current[parsed.key] = parsed.value;
-    } else if (current && trimmed.includes(':')) {
-      // Continuation key
-      const parsed = parseYamlKV(trimmed);
-      if (parsed) current[parsed.key] = parsed.value;
+function parseYamlFlow(text, pos) {
+  skipYamlSpace(text, pos);
+  const open = text[pos.i];
+
+  if (open === '[' || open === '{') {
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+    pos.i++;
+    skipYamlSpace(text, pos);
+    while (text[pos.i] !== close) {
+      if (pos.i >= text.length) throw new HttpError(400, `Unterminated YAML flow collection: ${text}`);
+      const item = parseYamlFlow(text, pos);
+      skipYamlSpace(text, pos);
+      // "key: value" in a sequence is a single-pair mapping
+      let value = null;
+      const pair = text[pos.i] === ':';
+      if (pair) {
+        pos.i++;
+        value = parseYamlFlow(text, pos);
+        skipYamlSpace(text, pos);
+      }
+      if (open === '{') result[item] = value;
+      else result.push(pair ? { [item]: value } : item);
+
+      // Every item ends at a comma or the closing bracket, so each pass
+      // consumes something
+      if (text[pos.i] === ',') {
+        pos.i++;
+        skipYamlSpace(text, pos);
+      } else if (text[pos.i] !== close) {
+        throw new HttpError(400, `Invalid YAML flow collection: unexpected "${text[pos.i] || 'end'}" in ${text}`);
+      }
     }
+    pos.i++;
+    return result;
+  }
+
+  if (open === '"' || open === "'") {
+    const end = quotedYamlEnd(text, pos.i);
+    if (end < 0) throw new HttpError(400, `Unterminated YAML string: ${text}`);
+    const value = unquoteYaml(text.slice(pos.i, end + 1));
+    pos.i = end + 1;
+    return value;
   }
 
-  if (current) entries.push(current);
-  return entries;
+  const match = text.slice(pos.i).match(/^(?:[^,[\]{}:]|:(?!\s|[,[\]{}]|$))*/);
+  pos.i += match[0].length;
+  return resolveYamlPlain(match[0].trim());
 }
 
-function parseYamlKV(str) {
-  const match = str.match(/^(\w+)\s*:\s*(.*)$/);
-  if (!match) return null;
-  let value = match[2].trim();
-  // Remove surrounding quotes
-  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
-    value = value.slice(1, -1);
-  }
-  return { key: match[1], value };
+function skipYamlSpace(text, pos) {
+  while (pos.i < text.length && /\s/.test(text[pos.i])) pos.i++;
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// GitHub API Helper
+// Storage backends
+// Everything the worker reads from or writes to the site repo goes through
+// one of these. Paths are repo-relative, file content is base64, and refs
+// default to the live branch (GITHUB_BRANCH):
+//   list(dir)                    → [{ name, path, sha, size, download_url }]
+//   read(path, ref?)             → { content, sha } or null
+//   sha(path, ref?)              → blob SHA or null
+//   write(path, content, { message, sha? })  → { sha, commit }
+//   remove(path, { message, sha }) → { commit }
+//     (sha undefined = don't care, null = must not exist; a mismatch
+//      throws a 409 with code 'conflict' and the current sha)
+//   snapshot(ref)                → { commit, files: { path: blob SHA } }
+//   commit(branch, message, changes, parent) → { commit, files }
+//     (changes as in commitChanges; 409 if branch moved off `parent`)
+//   readBlob(sha)                → content
+//   createBlob(content)          → blob SHA (stored, not yet committed)
+//   history(path, limit)         → [{ sha, message, author, login, date, url }]
+//   revision(sha)                → { sha, parents: [sha] } or null
+//   ensureBranch(branch), openDraft(branch) → { id, url }, listDrafts(),
+//   getDraft(id) → { id, title, branch } or null, promoteDraft(id,
+//   { title, message }) → { sha }, discardDraft(id)
 // ═══════════════════════════════════════════════════════════════════════
 
+const STORAGE_METHODS = [
+  'list', 'read', 'sha', 'write', 'remove', 'snapshot', 'commit', 'readBlob', 'createBlob', 'history',
+  'revision', 'ensureBranch', 'openDraft', 'listDrafts', 'getDraft', 'promoteDraft', 'discardDraft',
+];
+
+// GitHub by default; STORAGE = "local" uses the local-storage.js dev server
+// (a checked-out repo, no network or PAT needed) at LOCAL_STORAGE_URL
+function storage(env) {
+  return env.STORAGE === 'local' ? localStorageClient(env) : githubStorage(env);
+}
+
+// Each call is POST <LOCAL_STORAGE_URL>/<method> with the arguments as a
+// JSON array; errors come back as { error, details } with an HTTP status
+function localStorageClient(env) {
+  const call = async (method, args) => {
+    const res = await fetch(`${env.LOCAL_STORAGE_URL}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new HttpError(res.status, data.error, data.details);
+    return data.result;
+  };
+  return Object.fromEntries(STORAGE_METHODS.map((method) => [method, (...args) => call(method, args)]));
+}
+
+function githubStorage(env) {
+  const repo = `/repos/${env.GITHUB_REPO}`;
+  const live = env.GITHUB_BRANCH;
+
+  const store = {
+    async list(dir) {
+      const res = await github(env, 'GET', `${repo}/contents/${dir}?ref=${live}`);
+      if (res.status === 404) return [];
+      const data = await res.json();
+      if (!Array.isArray(data)) return [];
+      return data
+        .filter((f) => f.type === 'file')
+        .map((f) => ({ name: f.name, path: f.path, sha: f.sha, size: f.size, download_url: f.download_url }));
+    },
+
+    async read(path, ref = live) {
+      const res = await github(env, 'GET', `${repo}/contents/${path}?ref=${ref}`);
+      if (res.status === 404) return null;
+      if (!res.ok) throw new HttpError(502, 'GitHub request failed');
+      const data = await res.json();
+      return { content: data.content.replace(/\s/g, ''), sha: data.sha };
+    },
+
+    async sha(path, ref = live) {
+      const file = await store.read(path, ref);
+      return file ? file.sha : null;
+    },
+
+    async write(path, content, { message, sha }) {
+      const expected = sha === undefined ? await store.sha(path) : sha;
+      const body = { message, content, branch: live };
+      if (expected) body.sha = expected;
+
+      const res = await github(env, 'PUT', `${repo}/contents/${path}`, body);
+      if (res.ok) {
+        const data = await res.json();
+        return { sha: data.content.sha, commit: data.commit.sha };
+      }
+      await contentsConflict(res, path, expected);
+    },
+
+    async remove(path, { message, sha }) {
+      const res = await github(env, 'DELETE', `${repo}/contents/${path}`, { message, sha, branch: live });
+      if (res.ok) {
+        const data = await res.json();
+        return { commit: data.commit.sha };
+      }
+      await contentsConflict(res, path, sha);
+    },
+
+    async snapshot(ref) {
+      let sha = ref;
+      if (!/^[0-9a-f]{40}$/.test(ref)) {
+        sha = (await githubJson(env, 'GET', `${repo}/git/ref/heads/${ref}`)).object.sha;
+      }
+      const commit = await githubJson(env, 'GET', `${repo}/git/commits/${sha}`);
+      const tree = await githubJson(env, 'GET', `${repo}/git/trees/${commit.tree.sha}?recursive=1`);
+      const files = {};
+      for (const entry of tree.tree) {
+        if (entry.type === 'blob') files[entry.path] = entry.sha;
+      }
+      return { commit: sha, files };
+    },
+
+    // blobs → tree → commit → fast-forward ref update (Git Data API)
+    async commit(branch, message, changes, parent) {
+      const head = await githubJson(env, 'GET', `${repo}/git/commits/${parent}`);
+      const tree = [];
+      const blobs = {};
+      for (const change of changes) {
+        if (change.action === 'delete') {
+          tree.push({ path: change.path, mode: '100644', type: 'blob', sha: null });
+          continue;
+        }
+        const blob = change.blob ? { sha: change.blob } : await githubJson(env, 'POST', `${repo}/git/blobs`, {
+          content: change.content,
+          encoding: change.encoding === 'base64' ? 'base64' : 'utf-8',
+        });
+        blobs[change.path] = blob.sha;
+        tree.push({ path: change.path, mode: '100644', type: 'blob', sha: blob.sha });
+      }
+
+      const newTree = await githubJson(env, 'POST', `${repo}/git/trees`, { base_tree: head.tree.sha, tree });
+      const commit = await githubJson(env, 'POST', `${repo}/git/commits`, {
+        message,
+        tree: newTree.sha,
+        parents: [parent],
+      });
+
+      const update = await github(env, 'PATCH', `${repo}/git/refs/heads/${branch}`, { sha: commit.sha, force: false });
+      if (!update.ok) {
+        console.error('GitHub ref update error:', await update.text());
+        if (update.status === 422) {
+          throw new HttpError(409, 'The branch changed while publishing. Please try again.');
+        }
+        throw new HttpError(502, 'Publish failed');
+      }
+
+      return { commit: commit.sha, files: blobs };
+    },
+
+    async readBlob(sha) {
+      const blob = await githubJson(env, 'GET', `${repo}/git/blobs/${sha}`);
+      return blob.content.replace(/\s/g, '');
+    },
+
+    async createBlob(content) {
+      const blob = await githubJson(env, 'POST', `${repo}/git/blobs`, { content, encoding: 'base64' });
+      return blob.sha;
+    },
+
+    async history(path, limit) {
+      const commits = await githubJson(env, 'GET', `${repo}/commits?path=${path}&sha=${live}&per_page=${limit}`);
+      return commits.map((c) => ({
+        sha: c.sha,
+        message: c.commit.message,
+        author: c.commit.author.name,
+        login: c.author ? c.author.login : null,
+        date: c.commit.author.date,
+        url: c.html_url,
+      }));
+    },
+
+    async revision(sha) {
+      const res = await github(env, 'GET', `${repo}/git/commits/${sha}`);
+      if (!res.ok) return null;
+      const commit = await res.json();
+      return { sha: commit.sha, parents: commit.parents.map((p) => p.sha) };
+    },
+
+    async ensureBranch(branch) {
+      const existing = await github(env, 'GET', `${repo}/git/ref/heads/${branch}`);
+      if (existing.ok) return;
+
+      const base = await githubJson(env, 'GET', `${repo}/git/ref/heads/${live}`);
+      await githubJson(env, 'POST', `${repo}/git/refs`, { ref: `refs/heads/${branch}`, sha: base.object.sha });
+    },
+
+    // Drafts are reviewed as pull requests into the live branch
+    async openDraft(branch) {
+      const owner = env.GITHUB_REPO.split('/')[0];
+      const open = await githubJson(env, 'GET', `${repo}/pulls?state=open&head=${owner}:${branch}`);
+      const pr = open.length > 0 ? open[0] : await githubJson(env, 'POST', `${repo}/pulls`, {
+        title: `Draft: ${branch.slice('drafts/'.length)}`,
+        head: branch,
+        base: live,
+        body: 'Draft saved from the admin panel. Promote or discard it from the Drafts tab.',
+      });
+      return { id: pr.number, url: pr.html_url };
+    },
+
+    async listDrafts() {
+      const pulls = await githubJson(env, 'GET', `${repo}/pulls?state=open&base=${live}&per_page=50`);
+
+      const drafts = [];
+      for (const pr of pulls.filter(isDraftPull)) {
+        const files = await githubJson(env, 'GET', `${repo}/pulls/${pr.number}/files?per_page=100`);
+        drafts.push({
+          id: pr.number,
+          title: pr.title,
+          branch: pr.head.ref,
+          url: pr.html_url,
+          updated_at: pr.updated_at,
+          files: files.map((f) => ({
+            filename: f.filename,
+            status: f.status,
+            additions: f.additions,
+            deletions: f.deletions,
+            patch: f.patch || null,
+          })),
+        });
+      }
+      return drafts;
+    },
+
+    // Only open pull requests from drafts/* branches of this repo count
+    async getDraft(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const res = await github(env, 'GET', `${repo}/pulls/${id}`);
+      const pr = res.ok ? await res.json() : null;
+      if (!pr || pr.state !== 'open' || !isDraftPull(pr)) return null;
+      return { id: pr.number, title: pr.title, branch: pr.head.ref };
+    },
+
+    async promoteDraft(id, { title, message }) {
+      const { branch } = await store.getDraft(id);
+      const res = await github(env, 'PUT', `${repo}/pulls/${id}/merge`, {
+        merge_method: 'squash',
+        commit_title: `${title} (#${id})`,
+        commit_message: message,
+      });
+
+      if (!res.ok) {
+        console.error('GitHub draft merge error:', await res.text());
+        if (res.status === 405 || res.status === 409) {
+          throw new HttpError(409, 'Draft conflicts with the live site and cannot be promoted');
+        }
+        throw new HttpError(500, 'Promote failed');
+      }
+
+      const merged = await res.json();
+      await github(env, 'DELETE', `${repo}/git/refs/heads/${branch}`);
+      return { sha: merged.sha };
+    },
+
+    async discardDraft(id) {
+      const { branch } = await store.getDraft(id);
+      await githubJson(env, 'PATCH', `${repo}/pulls/${id}`, { state: 'closed' });
+      await github(env, 'DELETE', `${repo}/git/refs/heads/${branch}`);
+    },
+  };
+
+  function isDraftPull(pr) {
+    return pr.head.ref.startsWith('drafts/') && pr.head.repo && pr.head.repo.full_name === env.GITHUB_REPO;
+  }
+
+  // A rejected Contents API write is a conflict when the file's SHA is no
+  // longer the one the change was based on
+  async function contentsConflict(res, path, expected) {
+    const err = await res.text();
+    if (res.status === 409 || res.status === 422) {
+      const current = await store.sha(path);
+      if (current !== (expected || null)) {
+        throw new HttpError(409, `${path} was changed by someone else`, { code: 'conflict', path, sha: current });
+      }
+    }
+    console.error(`GitHub ${path} write error:`, err);
+    throw new HttpError(502, 'GitHub request failed');
+  }
+
+  return store;
+}
+
 async function github(env, method, path, body) {
   const opts = {
     method,
@@ -362,7 +2792,26 @@ async function github(env, method, path, body) {
     opts.headers['Content-Type'] = 'application/json';
     opts.body = JSON.stringify(body);
   }
-  return fetch(GITHUB_API + path, opts);
+  // GITHUB_API_URL points at a GitHub-compatible stand-in, e.g. in CI
+  return fetch((env.GITHUB_API_URL || GITHUB_API) + path, opts);
+}
+
+// Like github(), but parses the JSON body and throws on non-2xx responses
+async function githubJson(env, method, path, body) {
+  const res = await github(env, method, path, body);
+  if (!res.ok) {
+    console.error(`GitHub ${method} ${path} error:`, await res.text());
+    throw new HttpError(502, 'GitHub request failed');
+  }
+  return res.json();
+}
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -400,6 +2849,50 @@ function bufferToHex(buffer) {
   return Array.from(buffer).map((b) => b.toString(16).padStart(2, '0')).join('');
 }
 
+async function sha256Hex(str) {
+  return bufferToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str))));
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
 function timingSafeEqual(a, b) {
   if (a.length !== b.length) return false;
   let result = 0;
@@ -409,8 +2902,33 @@ function timingSafeEqual(a, b) {
   return result === 0;
 }
 
+function base64ToBytes(base64) {
+  const binary = atob(base64.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeBase64Utf8(base64) {
+  return new TextDecoder().decode(base64ToBytes(base64));
+}
+
+function encodeBase64Utf8(str) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(str)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
 function base64url(str) {
-  return btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return base64urlFromBuffer(new TextEncoder().encode(str));
 }
 
 function base64urlFromBuffer(buffer) {
@@ -0,0 +1,88 @@
+// Round trips between the admin's YAML serializer (assets/js/admin.js) and
+// the worker's parser: whatever the admin writes must read back unchanged,
+// comments included. Zero-dependency like the worker; run with
+//   node --test gallery-admin-worker/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// Neither file is a module Node can import as is: the worker's parser is
+// module-private and the serializer lives inside admin.js's IIFE
+const workerSource = readFileSync(new URL('./worker.js', import.meta.url), 'utf8');
+const { parseYaml } = await import('data:text/javascript,' + encodeURIComponent(workerSource + '\nexport { parseYaml };'));
+
+const adminSource = readFileSync(new URL('../assets/js/admin.js', import.meta.url), 'utf8');
+const serializer = adminSource.slice(adminSource.indexOf('// ── YAML Serializer'), adminSource.indexOf('// ── Utilities'));
+const { dataToYaml, attachYamlComments } = new Function(`${serializer}\nreturn { dataToYaml, attachYamlComments };`)();
+
+function roundTrip(value) {
+  const yaml = dataToYaml(value);
+  assert.deepEqual(parseYaml(yaml), value, yaml);
+}
+
+test('gallery entries: a sequence of mappings with scalars and lists', () => {
+  roundTrip([
+    { image: 'a.jpg', caption: 'Pincho', category: 'dog', width: 1600, height: 1067, widths: [480, 960] },
+    { image: 'b.png', caption: 'Ünïcödé — “quotes” & #hash', featured: true, focus: '50% 30%' },
+  ]);
+});
+
+test('a mapping of sequences and nested mappings', () => {
+  roundTrip({
+    active: [{ title: 'Board Member', company: 'ISCC Foundation', details: ['Member of the board'] }],
+    previous: [{ title: 'Head of Research', details: ['Led research', 'Wrote: papers'] }],
+    meta: { updated: '2026-02-14', counts: { total: 3, shown: 2 } },
+  });
+});
+
+test('sequences inside sequences', () => {
+  roundTrip([['a', 'b'], 'c', [['deep'], []], [{ a: 1, b: 2 }, { a: 3 }]]);
+  roundTrip({ rows: [[1, 2], [3, 4]] });
+});
+
+test('empty collections', () => {
+  roundTrip([]);
+  roundTrip({ tags: [], extra: {} });
+  roundTrip([{}, []]);
+});
+
+test('strings that would otherwise read as other types or structure', () => {
+  roundTrip(['yes', 'no', 'null', '~', '1', '0.5', '-', '- a', 'a: b', '[x]', '{y}', '#c', "it's", 'line\nbreak', 'tab\there', '\u2028', '']);
+  roundTrip({ 'needs quoting': 1, true: 'key', '1': 'numeric key', 'a:b': 'colon' });
+});
+
+test('comments are written back where they were', () => {
+  const yaml = [
+    '# Gallery photos, newest first',
+    '- image: "a.jpg" # the first one',
+    '  caption: "Pincho"',
+    '',
+    '# Kept for later',
+    '- image: "b.jpg"',
+    '  tags:',
+    '    # Most specific first',
+    '    - "dog"',
+    '',
+    '# end of file',
+    '',
+  ].join('\n');
+  const comments = [];
+  const data = parseYaml(yaml, comments);
+  attachYamlComments(data, comments);
+  assert.equal(dataToYaml(data), yaml);
+});
+
+test('unexpected indentation is an error, not a shorter document', () => {
+  for (const yaml of ['a: 1\n  b: 2\nc: 3', '- a\n  - b', 'a:\n    b: 1\n  c: 2', '  a: 1\nb: 2', 'a: 1\nplain']) {
+    assert.throws(() => parseYaml(yaml), { status: 400 }, yaml);
+  }
+});
+
+test('flow collections: single-pair mappings, and errors instead of endless loops', () => {
+  assert.deepEqual(parseYaml('k: [a: b, c]'), { k: [{ a: 'b' }, 'c'] });
+  assert.deepEqual(parseYaml('k: {a: [1, {b: c}], d}'), { k: { a: [1, { b: 'c' }], d: null } });
+  for (const yaml of ['k: [a}', 'k: {a]', 'k: [a b: c: d]', 'k: [}]', 'k: [a', 'k: ["a" "b"]']) {
+    assert.throws(() => parseYaml(yaml), { status: 400 }, yaml);
+  }
+});